@@ -16,12 +16,6 @@
 // Known issues
 // ------------
 //
-//  - This script uses the own browser to parse the html, so you must be carefull 
-//    with the validity of the code. A common mistake is to use the short syntax 
-//    `<tag />` for elements which shouldn't according to the standard.
-//    It's always a good idea to use the full syntax (except for `<br/>` and `<hr/>`) 
-//    even when no content is defined.
-//
 //  - In Internet Explorer the tal attributes (processors) can't be removed from
 //    the generated code although this shouldn't affect anything.
 //
@@ -30,9 +24,6 @@
 //
 //  - The default tales prefix/modifier is _js_, which resolves a basic javascript
 //    statement instead of a path to a variable.
-//  - No support for `tal:on-error` processor.
-//  - No support for `Metal`, however a similar behaviour can be mimicked with
-//    document fragments and common tal processors.
 //  - `omit-tag` works a bit differently. If the tales expression evaluates to true 
 //    the tag is removed and its contents shown, otherwise the tag is also shown.
 //    This is an intended change and can be easily removed by creating a custom
@@ -105,23 +96,317 @@
 //      // put the result on the page
 //      document.getElmentById('outUsers').appendChild( out );
 //
-//  Note that you can also use a node with name `tal:block` when you are going to
-//  replace it with some other content. Just remember to close the tag properly without
-//  using short syntax (ie: `<tal:block ... />`). It allows to define tal attributes
-//  without using the prefix in them.
-//
-//      <tal:block replace="item"></tal:block>
+//  Note that you can also use a node with name `tal:block` to group some content
+//  without adding an element to the result, since the elements in the processors
+//  namespace are always replaced by their contents. It allows to define tal 
+//  attributes without using the prefix in them.
 //
-//  Although since it's required to close the element it often times prefered to use the
-//  `<hr>` or `<br>` tags in these cases when no default content is defined, thus not 
-//  requiring a close the tag.
+//      <tal:block repeat="item items"><dt>${item.name}</dt><dd>${item.desc}</dd></tal:block>
 //
-//      <hr tal:replace="item">
+//  Templates given as strings are parsed by DomTal itself instead of the browser, 
+//  so the short syntax `<tag />` can be used with any element, and malformed markup 
+//  is recovered from like browsers do, warning about it with the line and column 
+//  where it was found (see `DomTal.warn`). Templates defined as elements in the page
+//  are parsed by the browser though, so they should use the full syntax (except for
+//  void elements like `<br>` or `<hr>`).
 //
 //  And that's it. There a few more options but overall it's a pretty easy to
 //  use library.
 //
 //
+// Rendering to a string
+// ---------------------
+//
+//  When the output is not going to be inserted in a document, for instance to
+//  send it in an email or to store it in a cache, we can obtain the result already
+//  serialized. Void elements, boolean attributes and escaping are handled for
+//  both the _html_ and _xhtml_ formats.
+//
+//      var html = tpl.renderToString(data, {format: 'xhtml', pretty: true});
+//
+//  The marker comments (`DOMTAL:BEGIN`, `DOMTAL:END` and `DOMTAL:MARK`) added
+//  to the output are removed unless the `markers` option is set to true. An
+//  already generated DOM can be serialized with `DomTal.serialize(node, options)`.
+//
+//
+// Compiling templates
+// -------------------
+//
+//  Templates rendered many times, like the rows of a large table, can be compiled
+//  into a javascript function. It builds the result directly, with the processor
+//  arguments and the interpolated texts parsed in advance, so there is no need to
+//  walk the template nor to parse its expressions on every run.
+//
+//      var render = DomTal.compile('#mytpl');
+//      document.body.appendChild( render({items: rows}) );
+//
+//  An instance can be compiled too, `run` and `renderToString` then use the
+//  generated function. Its code is available in the `source` property and only
+//  depends on the `DomTal` instance given to it, so it can be stored and loaded
+//  later on as the template of a new instance.
+//
+//      tpl.compile();
+//      var tpl2 = new DomTal(eval('(' + tpl.compiled.source + ')'));
+//
+//  Elements using processors registered without a _parse_ function can't be
+//  compiled, they are built as they are in the template and rendered as usual.
+//  Compiled templates do not track dependencies to re-render the bound nodes.
+//
+//
+// Rendering in a worker
+// ---------------------
+//
+//  Large templates can be rendered in a Web Worker, or a NodeJS worker thread,
+//  running the `lib/DomTal.worker.js` script, so the main thread stays responsive.
+//  The worker evaluates the templates against the virtual document and posts back
+//  the result as a list of DOM operations, which are applied in the main thread to
+//  build the final document fragment.
+//
+//      var renderer = new DomTal.WorkerRenderer(new Worker('lib/DomTal.worker.js'));
+//      renderer.render(tplString, {rows: rows}, function(err, fragment){
+//          table.appendChild(fragment);
+//      });
+//
+//  The templates must be given as strings and the data must be cloneable, so it
+//  can't contain functions. `DomTal.operations(node)` and
+//  `DomTal.applyOperations(ops, document)` can also be used directly to transfer
+//  any generated DOM.
+//
+//
+// Running outside the browser
+// ---------------------------
+//
+//  DomTal only needs a DOM implementation to work, so it can also be used in
+//  NodeJS to render templates on the server. Since there is no global `document`
+//  we have to provide one, either for every instance or as a module default.
+//
+//      var JSDOM = require('jsdom').JSDOM,
+//          DomTal = require('./lib/DomTal.js').DomTal;
+//
+//      // for every instance
+//      DomTal.document = new JSDOM('').window.document;
+//
+//      // or just for this one
+//      var tpl = new DomTal('<p>${foo}</p>', {foo: 'Foo'}, {document: doc});
+//
+//  If no document is given at all, DomTal uses its own lightweight implementation, 
+//  `DomTal.VirtualDocument`, which only supports what the processors need. It can 
+//  also be selected per instance with the _string_ backend, which is much faster 
+//  when the result is just going to be serialized to a string.
+//
+//      var tpl = new DomTal('<p>${foo}</p>', null, {backend: 'string'});
+//      var html = tpl.renderToString({foo: 'Foo'});
+//
+//  As in the browser, the expressions can use the globals (ie: `Math` or `JSON`)
+//  unless `DomTal.prototype.env` is overridden with another object to sandbox them.
+//
+//
+// Hydrating server rendered markup
+// --------------------------------
+//
+//  Markup rendered on the server can be attached to on the client, instead of
+//  rendering it again, so there is no flash of re-rendered content. The server keeps
+//  the marker comments and includes a snapshot of the data with the `scope` option.
+//
+//      var html = tpl.renderToString(data, {markers: true, scope: true});
+//
+//  On the client `hydrate` runs the template to restore the scopes and matches the
+//  result with the existing nodes, which are the ones updated by the bound
+//  re-renderers when the data changes. If the markup doesn't match the template it's
+//  replaced with the rendered one and false is returned.
+//
+//      tpl.hydrate(document.getElementById('app'));
+//
+//
+// Command line tool
+// -----------------
+//
+//  The `bin/domtal` script, for NodeJS, works with templates kept as files using
+//  the same parser, processors and modifiers than the library. Custom ones can be
+//  loaded with the `--require` option.
+//
+//      # Compile the templates into a module (amd, commonjs or esm)
+//      domtal compile -m esm -b templates -o templates.js templates/partials/*.html
+//
+//      # Preview a template rendered with the data from a JSON file
+//      domtal render --pretty user.html user.json
+//
+//      # Report unknown processors and modifiers or invalid expressions
+//      domtal lint templates/*.html
+//
+//      # Collect the messages to translate into a JSON catalog
+//      domtal extract -o messages.json templates/*.html
+//
+//  The compiled module exports an object with the templates, ready to be run, by
+//  their name, which is the file path relative to the `--base` directory without
+//  the extension (ie: `partials/user-card`). For AMD a named module is defined for
+//  each template instead. The templates are also registered with their name in
+//  `DomTal.templates`. When rendering, the templates included by name are read
+//  from the `--base` directory (ie: `partials/user-card.html`), unless a module
+//  given with `--require` sets its own loader. Problems found by `lint` are
+//  reported like `file:line:column: message`.
+//
+//
+// Named templates
+// ---------------
+//
+//  Templates can be registered by name in `DomTal.templates`, so other templates
+//  include them with the `template` processor or the `tpl` modifier. They are parsed
+//  the first time they are used and the result is cached for the next ones.
+//
+//      DomTal.templates.register('partials/user-card', '<div class="card">${user.name}</div>');
+//
+//      <li tal:repeat="user users" tal:template="partials/user-card"></li>
+//
+//  Like components, they can get some parameters after the `with` keyword, being
+//  rendered then with just them instead of the whole scope. The children of the
+//  element are rendered and given to the template in the `slot` variable, while
+//  the ones with a `tal:slot` processor are given in `slots.<name>`.
+//
+//      DomTal.templates.register('partials/card',
+//          '<div class="card"><h2>${title}</h2><tal:block replace="slot"/>' +
+//          '<footer tal:content="slots.footer | default">No actions</footer></div>');
+//
+//      <div tal:template="partials/card with title=user.name">
+//          <p>${user.bio}</p>
+//          <a tal:slot="footer" href="${user.url}">Profile</a>
+//      </div>
+//
+//  Names looking like a path are always taken from the registry, other names are
+//  used if registered, otherwise the expression is evaluated and a string naming a
+//  template in the same way is taken from the registry, while any other one is used
+//  as the markup of the template, so plain text is rendered as text. Templates not 
+//  registered yet are requested to the loader, which receives the name and a 
+//  callback to call with an error or the template source. Rendering is synchronous,
+//  so asynchronous loaders need the templates to be preloaded before running the
+//  ones using them.
+//
+//      DomTal.templates.loader(function(name, callback){
+//          $.get('/templates/' + name + '.html', function(html){ callback(null, html); });
+//      });
+//
+//      DomTal.templates.preload(['partials/user-card'], function(err){
+//          tpl.run();
+//      });
+//
+//  Templates can also be kept in the page, inside `script` elements of type
+//  `template/domtal` or `template` elements with a `data-domtal` attribute, which
+//  are registered by their id. Elements with a `data-domtal-template` attribute are
+//  then rendered with that template, using as data the global variable or the JSON
+//  file given in `data-domtal-data`.
+//
+//      <template data-domtal id="user-card"><b tal:content="user.name"></b></template>
+//
+//      <div data-domtal-template="user-card" data-domtal-data="/api/session.json"></div>
+//
+//  The page is scanned for them once loaded if the script loading DomTal has a
+//  `data-domtal-autoscan` attribute, so no javascript is needed at all, or if
+//  `DomTal.autoScan` is set, either to true or to a function receiving the error
+//  if any, which is thrown otherwise. Content added later on can be scanned with
+//  `DomTal.scan(root, callback)`.
+//
+//      <script src="DomTal.js" data-domtal-autoscan></script>
+//
+//      DomTal.autoScan = function(err){ if (err) report(err); };
+//
+//
+// Macros
+// ------
+//
+//  Layouts and other shared parts can be defined as macros with the Metal
+//  statements, following the Zope semantics. A macro defines slots which are
+//  filled by the templates using it, while the rest of the contents comes from
+//  the macro. It's rendered in the scope of the template using it.
+//
+//      <html metal:define-macro="layout">
+//          <title metal:define-slot="title">My site</title>
+//          <div metal:define-slot="content"></div>
+//      </html>
+//
+//      <html metal:use-macro="layout">
+//          <div metal:fill-slot="content" tal:content="page.body"></div>
+//      </html>
+//
+//  A template can use the macros it defines by their name, as well as those of the
+//  templates registered in `DomTal.templates`, which can also be referenced with the
+//  name of their template, like `layouts/main/macros/layout`. With `extend-macro` a
+//  macro is defined based on another one, filling some of its slots and defining new
+//  ones. Macros using themselves are limited by the _maxDepth_ option.
+//
+//
+// Translations
+// ------------
+//
+//  The I18n statements translate the texts of the templates, following the Zope
+//  semantics: `i18n:translate`, `i18n:attributes`, `i18n:name`, `i18n:domain` and
+//  `i18n:source`, plus `i18n:plural` to give the number choosing the plural form.
+//  The translations come from a messages catalog, `DomTal.catalog` by default,
+//  with the translations by language and domain.
+//
+//      DomTal.catalog.add('es', 'default', {
+//          'Hello ${user}, welcome back!': 'Hola ${user}, bienvenido!',
+//          'cart-items': {one: 'Un producto', other: '${cart.length} productos'}
+//      });
+//
+//      var tpl = new DomTal('#page', data, {language: 'es'});
+//
+//      <p i18n:translate="">Hello <b i18n:name="user" tal:content="user.name"></b>, welcome back!</p>
+//      <p i18n:translate="cart-items" i18n:plural="cart.length">${cart.length} items</p>
+//
+//  Messages without a translation in their domain are looked up in the _default_
+//  one, and in the base language (ie: `es` for `es-MX`). Plural messages use the
+//  CLDR categories (zero, one, two, few, many and other) of the language. Any
+//  object with a `translate(msgid, options)` method can be given as the catalog.
+//
+//  The messages of the templates can be collected with `tpl.extract()`, or with
+//  the `extract` command of the command line tool, which generates a JSON file
+//  ready to be translated and loaded with `DomTal.catalog.load(language, data)`.
+//
+//
+// XML, SVG and MathML templates
+// -----------------------------
+//
+//  The `svg` and `math` elements, and their children, are created in their own
+//  namespace like an html5 parser does, so they can be used directly in html
+//  templates. Prefixed attributes like `xlink:href` are set in their namespace,
+//  also when using `tal:attributes`.
+//
+//  For xml documents there is a mode where the processors are looked up by their
+//  namespace (`http://xml.zope.org/namespaces/tal` by default) instead of their
+//  prefix, so any prefix can be used as long as it's declared with `xmlns`. In
+//  this mode the html parsing rules are not applied and names are case sensitive.
+//
+//      var tpl = new DomTal(
+//          '<feed xmlns:t="http://xml.zope.org/namespaces/tal">' +
+//          '<entry t:repeat="e entries"><title t:content="e.title"/></entry>' +
+//          '</feed>', data, {xml: true});
+//
+//
+// Plain text templates
+// --------------------
+//
+//  Emails or configuration files can be generated with the text mode, which uses
+//  the same tales expressions and interpolation than the markup templates. The
+//  `define`, `condition` and `repeat` directives follow the rules of the processors
+//  with the same name, the last two enclosing a block of text ended by `{% end %}`.
+//  The block can be split with `{% elif expr %}` and `{% else %}` branches.
+//
+//      var tpl = new DomTal(
+//          'Hello ${user.name},\n' +
+//          '{% repeat item order.items %}\n' +
+//          '  ${repeat.item.number}. ${item.title}\n' +
+//          '{% else %}\n' +
+//          '  Your order is empty\n' +
+//          '{% end %}\n' +
+//          '{% condition order.note %}Note: ${order.note}{% end %}', 
+//          data, {text: true});
+//      var text = tpl.run();
+//
+//  Lines with just a directive are removed from the output, so they don't leave
+//  empty lines behind. To trim the white space before or after a directive,
+//  including new lines, add a dash to its delimiter like in `{%- end -%}`.
+//
+//
 // Performance
 // ===========
 //
@@ -136,6 +421,11 @@
 //  based template solutions, the benefits of working with a DOM outperform this initial
 //  slowness in many real world use cases.
 //
+//  When the result is not going to be used as a DOM, for instance when rendering on the
+//  server, the _string_ backend avoids that cost by working with lightweight virtual nodes.
+//  Compiling the templates (see above) saves the time spent walking the template and 
+//  parsing its expressions on each run.
+//
 //
 // Customization
 // =============
@@ -174,10 +464,10 @@
 //          node.innerHTML = '';
 //          if (arr.count) {
 //              for (var i=0; i<arr.count; i++) {
-//                  var li = document.createElement('LI');
+//                  var li = this.document.createElement('LI');
 //                  if (arr.keys[i] == key)
 //                      li.setAttribute('class', 'selected');
-//                  li.appendChild( document.createTextNode( arr.values[i] ) );
+//                  li.appendChild( this.document.createTextNode( arr.values[i] ) );
 //                  node.appendChild( li );
 //              }
 //          }
@@ -237,155 +527,3278 @@ var uniqueId = 1;
 // Create some static caches to be shared among all instances
 //
 var cache = {
-    js: {}, // cache for compiled tales expressions
-
-    // Pre-generate some node containers for different types of template contents
-    div: document.createElement('div'),
-    tbody: document.createElement('tbody'),
-    tr: document.createElement('tr'),
-    ul: document.createElement('ul'),
-    dl: document.createElement('dl')
+    js: {} // cache for compiled tales expressions
 };
 
+// containers
+// ----------
+//  Obtains the node containers used to temporary hold nodes being processed. 
+//  They are created lazily and attached to the document owning them, so the
+//  script can be loaded in environments without a global `document`.
+//
+function containers(doc) {
+    if (!doc.domtal_containers) {
+        doc.domtal_containers = {
+            div: doc.createElement('div')
+        };
+    }
+    return doc.domtal_containers;
+}
+
+// parserOptions
+// -------------
+//  Obtains the options to parse the string templates for a DomTal instance
 //
-// Dummy dependency tracker used when Bind is not available
+function parserOptions(dt) {
+    var namespaces = {};
+    namespaces[ dt.ns.replace(/:$/, '') ] = dt.nsURI;
+    namespaces[ dt.metal.replace(/:$/, '') ] = DomTal.NS.METAL;
+    namespaces[ dt.i18n.replace(/:$/, '') ] = DomTal.NS.I18N;
+    return {xml: dt.xml, lines: dt.lines, warn: dt.warn, namespaces: namespaces};
+}
+
+// attributeNS
+// -----------
+//  Finds the namespace for an attribute name based on its prefix, either declared in
+//  the document or one of the standard ones. Returns null for non prefixed names.
 //
-var mockDepTracking = {
-    begin: function(){},
-    end: function(){ return []; }
-};
+function attributeNS(node, name) {
+    var prefix, idx = name.indexOf(':');
+    if (idx < 1) {
+        return null;
+    }
 
+    prefix = name.substring(0, idx);
+    return (node.lookupNamespaceURI && node.lookupNamespaceURI(prefix)) || 
+           namespaceScope()[prefix] || null;
+}
 
-// load
+// isNode
+// ------
+//  Checks if the given value is a DOM node
+//
+function isNode(o) {
+    return o !== null && typeof o === 'object' && typeof o.nodeType === 'number';
+}
+
+// trim
 // ----
-//  Prepares the given template to be used. Pass in as argument the template as a 
-//  string, a script tag node object wrapping the template contents, a node object
-//  defining the template as a DOM structure, a document fragment or an document
-//  element Id by prefixing it with '#'.
-function load(tpl) {
-    var ret = null;
+//  Removes the white space around a string
+//
+function trim(str) {
+    return str.replace(/^\s+/, '').replace(/\s+$/, '');
+}
 
-    if (!tpl) {
-        return ret;
+// insertMarker
+// ------------
+//  Replaces a node with the given fragment surrounded by marker comments, so the 
+//  generated contents can be identified later on. If the fragment is empty a
+//  single marker is used instead. It returns the first marker.
+//
+function insertMarker(doc, processor, node, fragment) {
+    var m1, m2,
+        ident = uniqueId++;
+
+    if (!fragment || !fragment.hasChildNodes()) {
+        m1 = fragment = doc.createComment('DOMTAL:MARK id=' + ident + ' processor=' + processor);
+        m1.ident = ident; m1.type = 'mark'; m1.processor = processor;
+    } else {
+        m1 = doc.createComment('DOMTAL:BEGIN id=' + ident + ' processor=' + processor);
+        m1.ident = ident; m1.type = 'begin'; m1.processor = processor;
+        fragment.insertBefore(m1, fragment.firstChild);
+
+        m2 = doc.createComment('DOMTAL:END id=' + ident + ' processor=' + processor);
+        m2.ident = ident; m2.type = 'end'; m2.processor = processor;
+        fragment.appendChild(m2);
     }
 
-    if (typeof tpl === 'string') {
-        if (tpl.charAt(0) === '#') {
-            // fetch an element by its ID attribute
-            return load( document.getElementById( tpl.substring(1) ) );
+    node.parentNode.replaceChild(fragment, node);
+
+    return m1;
+}
+
+// processorLookup
+// ---------------
+//  Builds a function to find the attribute for a processor name in the given node.
+//  Elements in the processors namespace (ie: `tal:block`) use non prefixed attributes,
+//  in that case the returned function has the `prefixless` flag set. Processors named
+//  with the `metal:` or `i18n:` prefixes are looked up in their own namespace.
+//
+function processorLookup(dt, node) {
+    var lookup,
+        ns = dt.ns,
+        nsURI = dt.xml ? dt.nsURI : null,
+        prefixless = nsURI ? node.namespaceURI === nsURI : node.nodeName.toLowerCase().indexOf(ns) === 0;
+
+    if (prefixless) {
+        ns = '';
+        nsURI = null;
+    }
+
+    lookup = function(name) {
+        if (name.indexOf('metal:') === 0) {
+            return metalAttr(dt, node, name.substring(6));
+        } else if (name.indexOf('i18n:') === 0) {
+            return i18nAttr(dt, node, name.substring(5));
         }
-        // a string to convert to a document fragment
-        ret = stringToDom( tpl );
-    } else if ( tpl.nodeType === 11 ) {
-        // a document fragment so use it directly
-        ret = tpl;
-    } else if ( tpl.nodeType === 1 && tpl.nodeName.toLowerCase() === 'script' ) {
-        // a script element so get the inline contents as a string and parse it
-        ret = tpl.innerHTML;
-        // filter out the comment or CDATA preffix and suffix
-        ret = ret.replace(/^\s*<!(--|\[CDATA\[)/i, '').replace(/(--|]])>\s*$/i, '');
-        // convert the string to document fragment
-        ret = stringToDom(ret);
-    } else if ( tpl.nodeType === 1 ) {
-        // a containing element so clone its contents
-        ret = document.createDocumentFragment();
-        for (var i=0; i<tpl.childNodes.length; i++) {
-            ret.appendChild( tpl.childNodes[i].cloneNode(true) );
+        return nsURI ? node.getAttributeNodeNS(nsURI, name) : node.getAttributeNode(ns + name);
+    };
+    lookup.prefixless = prefixless;
+
+    return lookup;
+}
+
+// metalAttr
+// ---------
+//  Finds the attribute for a Metal statement in the given node
+//
+function metalAttr(dt, node, name) {
+    return dt.xml ? node.getAttributeNodeNS(DomTal.NS.METAL, name) : node.getAttributeNode(dt.metal + name);
+}
+
+// i18nAttr
+// --------
+//  Finds the attribute for an I18n statement in the given node
+//
+function i18nAttr(dt, node, name) {
+    return dt.xml ? node.getAttributeNodeNS(DomTal.NS.I18N, name) : node.getAttributeNode(dt.i18n + name);
+}
+
+// findMetal
+// ---------
+//  Collects the elements below the root with the given Metal statement. Elements 
+//  with the _stop_ statement are not looked into.
+//
+function findMetal(dt, root, name, stop, found) {
+    var child;
+
+    found = found || [];
+    for (child = root.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType !== 1) {
+            continue;
+        }
+        if (metalAttr(dt, child, name)) {
+            found.push(child);
+        } else if (!stop || !metalAttr(dt, child, stop)) {
+            findMetal(dt, child, name, stop, found);
         }
     }
 
-    return ret;
+    return found;
 }
 
-// stringToDom
-// -----------
-//  Converts the given html text to a DOM Fragment
+// collectMacros
+// -------------
+//  Adds the macros defined in a template to the given ones by their name
 //
-//      var html = 'This is an <em>html</em> string';
-//      var fragment = stringToDom( html );
-//
-function stringToDom( html ) {
-    var cont, fragment;
-
-    // let the browser parse the HTML string. Since the browser applies special rules
-    // according to different node name semantics we have to choose a propper container
-    // for the template contents.
-    if (/^\s*<tr\b/i.test(html)) {
-        cont = cache.tbody;
-    } else if (/^\s*<t[dh]/i.test(html)) {
-        cont = cache.tr;
-    } else if (/^\s*<li\b/i.test(html)) {
-        cont = cache.ul;
-    } else if (/^\s*<d[dt]\b/i.test(html)) {
-        cont = cache.dl;
-    } else {
-        cont = cache.div;
+function collectMacros(dt, root, macros) {
+    var i, nodes = findMetal(dt, root, 'define-macro');
+
+    for (i=0; i<nodes.length; i++) {
+        macros[ trim(metalAttr(dt, nodes[i], 'define-macro').value) ] = nodes[i];
+    }
+}
+
+// Finds a macro of the template of an instance or of the registered ones
+function findMacro(dt, name) {
+    if (dt.macros.hasOwnProperty(name)) {
+        return dt.macros[name];
+    }
+    return DomTal.templates.macro(name, dt);
+}
+
+// resolveMacro
+// ------------
+//  Obtains the element of a macro from a `use-macro` or `extend-macro` expression. 
+//  Known macros are used directly, as well as those in a named template 
+//  (ie: `layouts/main/macros/page`), otherwise the expression is evaluated and
+//  can result in a macro name or element.
+//
+function resolveMacro(dt, exp) {
+    var value = trim(exp),
+        macro = findMacro(dt, value);
+
+    if (macro) {
+        return macro;
+    }
+
+    // A plain name not defined as a variable can only be a missing macro
+    if (/^[\w$-]+$/.test(value) && typeof dt.get(value, dt.env[value]) === 'undefined') {
+        throw new Error('Macro "' + value + '" not found');
     }
 
-    cont.innerHTML = html;
+    if (!/\/macros\/[^\/]+$/.test(value)) {
+        value = dt.tales(parseTales(value));
+        if (isNode(value)) {
+            return value;
+        }
+        if (!value) {
+            throw new Error('Unable to obtain macro to use from expression "' + exp + '"');
+        }
+        macro = findMacro(dt, String(value));
+    }
 
-    // create a document fragment and copy in it the parsed elements
-    fragment = document.createDocumentFragment();
-    while (cont.firstChild) {
-        fragment.appendChild(cont.firstChild);
+    if (!macro) {
+        throw new Error('Macro "' + value + '" not found');
     }
 
-    return fragment;
+    return macro;
 }
 
+// Protects against macros using or extending themselves, it must be followed by
+// decrementing the depth once done.
+function enterMacro(dt, exp) {
+    if (dt.depth >= dt.maxDepth) {
+        throw new Error('Maximum depth of ' + dt.maxDepth + ' exceeded using the macro "' + trim(exp) + '"');
+    }
+    dt.depth++;
+}
 
-// DomTal.ExpressionParser
-// =======================
-//  Helper class to parse an expression. It's pretty rudimentary but we don't need 
-//  anything fancy for the supported expression syntax.
+// expandMacro
+// -----------
+//  Obtains a copy of a macro element ready to be rendered. When it extends another 
+//  macro it's the copy of that one with the slots filled by this one.
 //
-function ExpressionParser(exp){
-    this.exp = exp;
-    this.pos = 0;
+function expandMacro(dt, macro) {
+    var base, attr,
+        doc = dt.document,
+        copy = doc.importNode && macro.ownerDocument !== doc ? doc.importNode(macro, true) : macro.cloneNode(true);
+
+    attr = metalAttr(dt, copy, 'define-macro');
+    if (attr) {
+        copy.removeAttributeNode(attr);
+    }
+
+    attr = metalAttr(dt, copy, 'extend-macro');
+    if (attr) {
+        enterMacro(dt, attr.value);
+        try {
+            base = expandMacro(dt, resolveMacro(dt, attr.value));
+        } finally {
+            dt.depth--;
+        }
+        fillSlots(dt, base, copy);
+        copy = base;
+    }
+
+    return copy;
 }
 
-ExpressionParser.prototype.seek = function(ofs){
-    this.pos = ofs;
-};
+// fillSlots
+// ---------
+//  Replaces the slots defined in the macro with the elements filling them in the
+//  source, which are moved. Slots not filled keep their default contents.
+//
+function fillSlots(dt, macro, source) {
+    var i, name, slot,
+        fills = {},
+        nodes = findMetal(dt, source, 'fill-slot', 'use-macro');
 
-ExpressionParser.prototype.skip = function(len){
-    this.seek(this.pos + len);
-};
+    for (i=0; i<nodes.length; i++) {
+        fills[ trim(metalAttr(dt, nodes[i], 'fill-slot').value) ] = nodes[i];
+    }
 
-ExpressionParser.prototype.consume = function(len){
-    var ret = this.exp.substr(this.pos, len);
-    this.skip(ret.length);
-    return ret;
-};
+    nodes = findMetal(dt, macro, 'define-slot');
+    for (i=0; i<nodes.length; i++) {
+        slot = nodes[i];
+        name = trim(metalAttr(dt, slot, 'define-slot').value);
+        if (fills.hasOwnProperty(name)) {
+            slot.parentNode.replaceChild(fills[name], slot);
+        }
+    }
+}
 
-ExpressionParser.prototype.remaining = function(){
-    return this.consume(this.exp.length - this.pos);
-};
+// unwrap
+// ------
+//  Replaces an element with its contents, which are rendered first if _render_ is 
+//  set. Used for the elements in the processors namespace (ie: `tal:block`). It 
+//  returns the first marker.
+//
+function unwrap(dt, node, render) {
+    var fragment;
 
-// An expression ident has the same syntax rules as a javascript one
-ExpressionParser.prototype.ident = function(){
-    return this.rex(/^\s*([A-Za-z$_][$\w]*)\s*/);
-};
+    if (render) {
+        fragment = dt.contents(node);
+    } else {
+        fragment = dt.document.createDocumentFragment();
+        while (node.firstChild) {
+            fragment.appendChild(node.firstChild);
+        }
+    }
 
-// Only decimal numbers, no support for hex format or exponents
-ExpressionParser.prototype.number = function(){
-    return this.rex(/^\s*(-?([0-9]+|[0-9]*?\.[0-9]+))\s*/);
-};
+    return insertMarker(dt.document, 'block', node, fragment);
+}
 
-// Matches a tales prefix (ie: string:hello world!)
-ExpressionParser.prototype.prefix = function(){
-    return this.rex(/^\s*([_$\w]+)\s*:/);
-};
+// setOutcome
+// ----------
+//  Records if a `condition`, `repeat` or `elif` rendered the node, so the `elif` 
+//  and `else` processors of the next element can check it. It's kept in the parent
+//  node until another element takes it (see `takeOutcome`).
+//
+function setOutcome(node, matched) {
+    if (node.parentNode) {
+        node.parentNode.domtal_outcome = matched;
+    }
+}
 
-// A tales expression is basically any valid javascript statement with special
-// threatment for spacing which behaves very similarly to how Javascript manages 
-// end of lines for statements without a semi colon.
+// takeOutcome
+// -----------
+//  Hands the outcome recorded by the previous element over to the given one, in 
+//  its `domtal_else` property. Any element in between breaks the chain.
 //
-// The return value of this matcher is an array containing all the statements found. 
-// Normally it will be a single item but if the expression contains alternates (ie: foo | bar)
-// each alternate will be returned as an element of the array.
-ExpressionParser.prototype.tales = function(){
-    var eos = 0,  // 1: probable end, 2: confirmed end
+function takeOutcome(node) {
+    var parent = node.parentNode;
+
+    if (node.nodeType === 1 && parent && typeof parent.domtal_outcome !== 'undefined') {
+        node.domtal_else = parent.domtal_outcome;
+        delete parent.domtal_outcome;
+    }
+}
+
+// applyAttribute
+// --------------
+//  Sets an attribute from the value of an expression, removing it when false or 
+//  _nothing_. Objects are merged with the current value for _class_ and _style_.
+//
+function applyAttribute(node, attr, value) {
+    var k, uri;
+
+    // Work around IE bug (http://webbugtrack.blogspot.com/2007/11/bug-299-setattribute-checked-does-not.html)
+    if (isIE && attr.toLowerCase() === 'checked') {
+        attr = 'defaultChecked';
+    }
+
+    if (value !== null && typeof value === 'object' && typeof value.nodeType !== 'number' &&
+        value !== DomTal.NOTHING && value !== DomTal.DEFAULT) {
+        if (attr === 'class') {
+            applyClass(node, value);
+            return;
+        } else if (attr === 'style') {
+            for (k in value) if (value.hasOwnProperty(k)) {
+                applyStyle(node, k, value[k]);
+            }
+            return;
+        }
+    }
+
+    // Prefixed attributes (ie: xlink:href) are set in their namespace
+    uri = attributeNS(node, attr);
+
+    if (value === false || value === DomTal.NOTHING) {
+        if (uri) {
+            node.removeAttributeNS(uri, attr.substring(attr.indexOf(':') + 1));
+        } else {
+            node.removeAttribute(attr);
+        }
+    } else if (value !== DomTal.DEFAULT) {
+        if (value === true) {
+            value = attr;
+        }
+        if (uri) {
+            node.setAttributeNS(uri, attr, value);
+        } else {
+            node.setAttribute(attr, value);
+        }
+    }
+}
+
+// Adds the class names of a list, or the keys of an object with a true value, 
+// removing the ones with a false value
+function applyClass(node, value) {
+    var k, name,
+        classes = trim(node.getAttribute('class') || '').split(/\s+/);
+
+    if (classes[0] === '') {
+        classes = [];
+    }
+
+    for (k in value) if (value.hasOwnProperty(k)) {
+        name = value instanceof Array ? value[k] : k;
+        if (!name || typeof name !== 'string') {
+            continue;
+        }
+
+        if (value instanceof Array || value[k]) {
+            if (-1 === classes.indexOf(name)) {
+                classes.push(name);
+            }
+        } else {
+            while (-1 !== classes.indexOf(name)) {
+                classes.splice(classes.indexOf(name), 1);
+            }
+        }
+    }
+
+    if (classes.length) {
+        node.setAttribute('class', classes.join(' '));
+    } else {
+        node.removeAttribute('class');
+    }
+}
+
+// Sets a property in the style of a node, removing it when false, null or _nothing_.
+// The standard methods only understand dashed names, custom properties are kept.
+// Elements without a style declaration, like the xml ones, get their `style`
+// attribute rewritten instead.
+function applyStyle(node, prop, value) {
+    var name = /^--/.test(prop) ? prop : dashed(prop),
+        remove = value === false || value === null || typeof value === 'undefined' || value === DomTal.NOTHING,
+        style = node.style || new VirtualStyle(node);
+
+    if (value === DomTal.DEFAULT) {
+        return;
+    }
+
+    if (style.setProperty) {
+        if (remove) {
+            style.removeProperty(name);
+        } else {
+            style.setProperty(name, value);
+        }
+    } else {
+        style[prop] = remove ? '' : value;
+    }
+}
+
+// Sets the `data-*` attributes for the values of an object
+function applyData(node, data) {
+    var k, value;
+
+    for (k in data) if (data.hasOwnProperty(k)) {
+        value = data[k];
+        if (value !== null && typeof value === 'object' && value !== DomTal.NOTHING && value !== DomTal.DEFAULT) {
+            value = JSON.stringify(value);
+        }
+        applyAttribute(node, 'data-' + dashed(k), value);
+    }
+}
+
+// Converts a camel cased name into a dashed one, ie: fontWeight to font-weight
+function dashed(name) {
+    return name.replace(/[A-Z]/g, '-$&').toLowerCase();
+}
+
+// Maximum number of parsed expressions cached for each processor
+var maxParsed = 1000;
+
+// processorArgs
+// -------------
+//  Obtains the argument for a processor from its attribute value. Processors offering
+//  a `parse` function receive the parsed expression, which is cached so it's only 
+//  parsed once. The cache is emptied once full, since the expressions come from
+//  templates which could be generated.
+//
+function processorArgs(processor, value) {
+    if (!processor.parse) {
+        return value;
+    }
+    // The expression could be named like an Object method (ie: hasOwnProperty)
+    if (!Object.prototype.hasOwnProperty.call(processor.parsed, value)) {
+        if (processor.parsedCount >= maxParsed) {
+            processor.parsed = {};
+            processor.parsedCount = 0;
+        }
+        processor.parsedCount++;
+        processor.parsed[value] = processor.parse(value);
+    }
+    return processor.parsed[value];
+}
+
+// parseInterpolation
+// ------------------
+//  Splits a text with `${...}` placeholders into a list of strings and tales 
+//  expressions (arrays), to be evaluated by `DomTal.prototype.interpolate`.
+//
+function parseInterpolation(txt) {
+    var value, tales, parts = [],
+        parser = new ExpressionParser(txt);
+
+    while (parser.pos < txt.length) {
+        value = parser.rex(/^[^$]+/);
+        if (value !== null) {
+            parts.push(value);
+        }
+
+        if (parser.str('${')) {
+            tales = parser.tales();
+            if (tales === null) {
+                throw new Error('Invalid tales expression "' + parser + '"');
+            }
+            parts.push(tales);
+
+            parser.str('}');
+        } else if (parser.pos < txt.length) {
+            // Consume next two chars since it might be a escaped $$ sign
+            parts.push(parser.consume(2));
+        }
+    }
+
+    return parts;
+}
+
+// compile
+// -------
+//  Generates a function which builds the result of the given template. Its source 
+//  code only depends on its _dt_ argument, the `DomTal` instance running it, so it 
+//  can be serialized. The processor arguments and the interpolated texts are parsed
+//  at this point and embedded as JSON.
+//
+function compile(dt, tpl) {
+    var fn, src,
+        consts = [],
+        funcs = [],
+        uid = 0;
+
+    function literal(value) {
+        // JSON allows some line terminators which are not valid in javascript strings
+        return JSON.stringify(value).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+    }
+
+    function constant(value) {
+        consts.push(value);
+        return 'C[' + (consts.length - 1) + ']';
+    }
+
+    function interpolation(txt) {
+        var parts = parseInterpolation(txt);
+        if (parts.length === 1 && typeof parts[0] === 'string') {
+            return literal(parts[0]);
+        }
+        return 'dt.interpolate(' + constant(parts) + ')';
+    }
+
+    // Obtains the processors defined in the element sorted by priority
+    function processors(node) {
+        var lookup = processorLookup(dt, node),
+            found = [];
+
+        if (!node.attributes.length) {
+            return found;
+        }
+
+        dt.processors.each(function(processor){
+            var anode = lookup(processor.procname);
+            if (anode) {
+                found.push({processor: processor, attr: anode});
+            }
+        });
+
+        return found;
+    }
+
+    // Generates the statements creating an element with its attributes. The
+    // processors attributes are skipped unless they must be kept.
+    function element(node, v, skip, raw, out) {
+        var i, attr, value,
+            html = !dt.xml && node.namespaceURI === DomTal.NS.XHTML;
+
+        if (html) {
+            out.push('var ' + v + ' = doc.createElement(' + literal(node.nodeName.toLowerCase()) + ');');
+        } else {
+            out.push('var ' + v + ' = doc.createElementNS(' + literal(node.namespaceURI) + ', ' + literal(node.nodeName) + ');');
+        }
+
+        for (i=0; i<node.attributes.length; i++) {
+            attr = node.attributes[i];
+            if (dt.removeAttrs && skip.indexOf(attr.name) !== -1) {
+                continue;
+            }
+
+            value = !raw && -1 !== attr.value.indexOf('${') ? interpolation(attr.value) : literal(attr.value);
+            if (attr.namespaceURI) {
+                out.push(v + '.setAttributeNS(' + literal(attr.namespaceURI) + ', ' + literal(attr.name) + ', ' + value + ');');
+            } else {
+                out.push(v + '.setAttribute(' + literal(attr.name) + ', ' + value + ');');
+            }
+        }
+    }
+
+    // Generates the statements creating the children of a node in the _p_ variable.
+    // In _raw_ mode the nodes are created as they are in the template.
+    function children(node, p, raw, out) {
+        var i, j, child, found, compilable, v, names,
+            chained = false;
+
+        for (i=0; i<node.childNodes.length; i++) {
+            child = node.childNodes[i];
+            v = 'n' + (uid++);
+
+            if (child.nodeType === 3 || child.nodeType === 4) {
+                out.push(p + '.appendChild(doc.createTextNode(' + 
+                         (!raw && -1 !== child.nodeValue.indexOf('$') ? interpolation(child.nodeValue) : literal(child.nodeValue)) + 
+                         '));');
+            } else if (child.nodeType === 8) {
+                out.push(p + '.appendChild(doc.createComment(' + literal(child.nodeValue) + '));');
+            } else if (child.nodeType === 1) {
+                found = raw ? [] : processors(child);
+
+                compilable = true;
+                names = [];
+                for (j=0; j<found.length; j++) {
+                    names.push(found[j].attr.name);
+                    compilable = compilable && !!found[j].processor.parse;
+                }
+
+                // Elements in the processors namespace must be unwrapped by `execute`, 
+                // which also breaks the chain of a previous condition (see `else`)
+                if ((found.length || (!raw && (chained || processorLookup(dt, child).prefixless))) && compilable) {
+                    out.push(build(child, found, names) + '(' + p + ');');
+                } else {
+                    // Elements with processors which can't be compiled are rendered as usual
+                    element(child, v, [], raw || found.length > 0, out);
+                    out.push(p + '.appendChild(' + v + ');');
+                    children(child, v, raw || found.length > 0, out);
+                    if (found.length) {
+                        out.push('dt.process(' + v + ');');
+                    }
+                }
+
+                chained = found.length > 0;
+            }
+        }
+    }
+
+    // Generates the function creating an element with processors, returning its name
+    function build(node, found, names) {
+        var i, procs = [], body = [], kids = [],
+            name = 'e' + (uid++),
+            cname = 'null';
+
+        for (i=0; i<found.length; i++) {
+            procs.push([found[i].processor.procname, processorArgs(found[i].processor, found[i].attr.value)]);
+        }
+
+        if (node.hasChildNodes()) {
+            cname = 'c' + name.substring(1);
+            children(node, 'p', false, kids);
+            funcs.push('function ' + cname + '(p) {\n    ' + kids.join('\n    ') + '\n}');
+        }
+
+        element(node, 'n', names, true, body);
+        body.push('p.appendChild(n);');
+        body.push('if (looping) n.domtal_repeat = true;');
+        body.push('dt.execute(n, ' + constant(procs) + ', ' + cname + ', ' + name + ');');
+        funcs.push('function ' + name + '(p, looping) {\n    ' + body.join('\n    ') + '\n}');
+
+        return name;
+    }
+
+    src = [];
+    children(tpl, 'f', false, src);
+
+    src = 'var doc = dt.document,\n' +
+          '    C = ' + literal(consts) + ',\n' +
+          '    f = doc.createDocumentFragment();\n\n' +
+          funcs.join('\n\n') + '\n\n' +
+          src.join('\n') + '\n' +
+          'return f;';
+
+    fn = new Function('dt', src);
+    fn.source = 'function(dt) {\n' + src + '\n}';
+
+    return fn;
+}
+
+// virtualDocument
+// ---------------
+//  Obtains the shared instance of the virtual document
+//
+var vdoc = null;
+function virtualDocument() {
+    return vdoc || (vdoc = new VirtualDocument());
+}
+
+// removeChildren
+// --------------
+//  Empties a node without relying on `innerHTML`, which is not offered by
+//  every DOM implementation.
+//
+function removeChildren(node) {
+    while (node.firstChild) {
+        node.removeChild(node.firstChild);
+    }
+}
+
+//
+// Dummy dependency tracker used when Bind is not available
+//
+var mockDepTracking = {
+    begin: function(){},
+    end: function(){ return []; }
+};
+
+
+// load
+// ----
+//  Prepares the given template to be used. Pass in as argument the template as a 
+//  string, a script tag node object wrapping the template contents, a node object
+//  defining the template as a DOM structure, a document fragment or an document
+//  element Id by prefixing it with '#'. The second argument is the document used
+//  to look up elements and to create the new nodes, the third one the options
+//  for the parser (see `stringToDom`).
+function load(tpl, doc, opts) {
+    var ret = null;
+
+    if (!tpl) {
+        return ret;
+    }
+
+    if (typeof tpl === 'string') {
+        if (tpl.charAt(0) === '#') {
+            // fetch an element by its ID attribute
+            return load( doc.getElementById( tpl.substring(1) ), doc, opts );
+        }
+        // a string to convert to a document fragment
+        ret = stringToDom( tpl, doc, opts );
+    } else if ( tpl.nodeType === 11 ) {
+        // a document fragment so use it directly
+        ret = tpl;
+    } else if ( tpl.nodeType === 1 && tpl.content && tpl.content.nodeType === 11 ) {
+        // a template element keeps its nodes in an inert fragment
+        ret = doc.importNode ? doc.importNode(tpl.content, true) : tpl.content.cloneNode(true);
+    } else if ( tpl.nodeType === 1 && tpl.nodeName.toLowerCase() === 'script' ) {
+        // a script element so get the inline contents as a string and parse it
+        ret = tpl.innerHTML;
+        // filter out the comment or CDATA preffix and suffix
+        ret = ret.replace(/^\s*<!(--|\[CDATA\[)/i, '').replace(/(--|]])>\s*$/i, '');
+        // convert the string to document fragment
+        ret = stringToDom(ret, doc, opts);
+    } else if ( tpl.nodeType === 1 ) {
+        // a containing element so clone its contents
+        ret = doc.createDocumentFragment();
+        for (var i=0; i<tpl.childNodes.length; i++) {
+            ret.appendChild( tpl.childNodes[i].cloneNode(true) );
+        }
+    }
+
+    return ret;
+}
+
+// Elements which can't have any content and thus have no closing tag
+var voidElements = /^(area|base|br|col|command|embed|hr|img|input|keygen|link|meta|param|source|track|wbr)$/;
+
+// Attributes which only signal a true value with their presence
+var booleanAttrs = /^(allowfullscreen|async|autofocus|autoplay|checked|compact|controls|declare|default|defer|disabled|formnovalidate|hidden|inert|ismap|itemscope|loop|multiple|muted|nohref|noresize|noshade|novalidate|nowrap|open|readonly|required|reversed|scoped|seamless|selected|sortable|truespeed)$/;
+
+// Elements whose contents must be serialized verbatim
+var rawElements = /^(script|style|xmp|iframe|noembed|noframes|plaintext|noscript)$/;
+
+// Elements whose contents are text, although entities are decoded
+var rcdataElements = /^(textarea|title)$/;
+
+// Elements whose white space is significant so they are never indented
+var preElements = /^(pre|textarea|listing)$/;
+
+// Elements rendered as blocks (or not at all), so the white space around them 
+// doesn't change the result and they can be indented
+var blockElements = /^(address|article|aside|base|blockquote|body|caption|col|colgroup|dd|details|dialog|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|head|header|hgroup|hr|html|legend|li|link|main|menu|meta|nav|ol|optgroup|option|p|pre|script|section|style|summary|table|tbody|td|template|tfoot|th|thead|title|tr|ul)$/;
+
+// Elements which can be implicitly closed
+var optionalEnd = /^(li|dt|dd|p|option|optgroup|tr|td|th|thead|tbody|tfoot|colgroup|caption|rb|rt|rp|rtc|html|head|body)$/;
+
+// Elements that implicitly close the open element if it's one of the listed ones
+var impliedEnd = {
+    li: /^li$/,
+    dt: /^d[dt]$/,
+    dd: /^d[dt]$/,
+    option: /^option$/,
+    optgroup: /^(option|optgroup)$/,
+    tr: /^(tr|td|th)$/,
+    td: /^(td|th)$/,
+    th: /^(td|th)$/,
+    thead: /^(thead|tbody|tfoot|tr|td|th|colgroup|caption)$/,
+    tbody: /^(thead|tbody|tfoot|tr|td|th|colgroup|caption)$/,
+    tfoot: /^(thead|tbody|tfoot|tr|td|th|colgroup|caption)$/,
+    colgroup: /^(colgroup|caption)$/,
+    rb: /^(rb|rt|rp|rtc)$/,
+    rt: /^(rb|rt|rp)$/,
+    rp: /^(rb|rt|rp)$/,
+    rtc: /^(rb|rt|rp|rtc)$/
+};
+
+// Block elements that close an open paragraph
+var closesParagraph = /^(address|article|aside|blockquote|details|dialog|div|dl|fieldset|figcaption|figure|footer|form|h[1-6]|header|hgroup|hr|main|menu|nav|ol|p|pre|section|table|ul)$/;
+
+// Named character references of HTML5, packed as `name:codepoints` with the code 
+// points in hexadecimal joined by a plus sign. Unknown ones are kept as is.
+var entities = {};
+(function(packed){
+    var i, j, ref, cps, chars;
+
+    packed = packed.split(' ');
+    for (i=0; i<packed.length; i++) {
+        ref = packed[i].split(':');
+        cps = ref[1].split('+');
+        chars = '';
+        for (j=0; j<cps.length; j++) {
+            chars += codePoint(parseInt(cps[j], 16));
+        }
+        entities[ref[0]] = chars;
+    }
+})(
+    'Aacute:c1 aacute:e1 Abreve:102 abreve:103 ac:223e acd:223f acE:223e+333 ' +
+    'Acirc:c2 acirc:e2 acute:b4 Acy:410 acy:430 AElig:c6 aelig:e6 af:2061 ' +
+    'Afr:1d504 afr:1d51e Agrave:c0 agrave:e0 alefsym:2135 aleph:2135 Alpha:391 ' +
+    'alpha:3b1 Amacr:100 amacr:101 amalg:2a3f amp:26 AMP:26 andand:2a55 And:2a53 ' +
+    'and:2227 andd:2a5c andslope:2a58 andv:2a5a ang:2220 ange:29a4 angle:2220 ' +
+    'angmsdaa:29a8 angmsdab:29a9 angmsdac:29aa angmsdad:29ab angmsdae:29ac ' +
+    'angmsdaf:29ad angmsdag:29ae angmsdah:29af angmsd:2221 angrt:221f ' +
+    'angrtvb:22be angrtvbd:299d angsph:2222 angst:c5 angzarr:237c Aogon:104 ' +
+    'aogon:105 Aopf:1d538 aopf:1d552 apacir:2a6f ap:2248 apE:2a70 ape:224a ' +
+    'apid:224b apos:27 ApplyFunction:2061 approx:2248 approxeq:224a Aring:c5 ' +
+    'aring:e5 Ascr:1d49c ascr:1d4b6 Assign:2254 ast:2a asymp:2248 asympeq:224d ' +
+    'Atilde:c3 atilde:e3 Auml:c4 auml:e4 awconint:2233 awint:2a11 backcong:224c ' +
+    'backepsilon:3f6 backprime:2035 backsim:223d backsimeq:22cd Backslash:2216 ' +
+    'Barv:2ae7 barvee:22bd barwed:2305 Barwed:2306 barwedge:2305 bbrk:23b5 ' +
+    'bbrktbrk:23b6 bcong:224c Bcy:411 bcy:431 bdquo:201e becaus:2235 because:2235 ' +
+    'Because:2235 bemptyv:29b0 bepsi:3f6 bernou:212c Bernoullis:212c Beta:392 ' +
+    'beta:3b2 beth:2136 between:226c Bfr:1d505 bfr:1d51f bigcap:22c2 bigcirc:25ef ' +
+    'bigcup:22c3 bigodot:2a00 bigoplus:2a01 bigotimes:2a02 bigsqcup:2a06 ' +
+    'bigstar:2605 bigtriangledown:25bd bigtriangleup:25b3 biguplus:2a04 ' +
+    'bigvee:22c1 bigwedge:22c0 bkarow:290d blacklozenge:29eb blacksquare:25aa ' +
+    'blacktriangle:25b4 blacktriangledown:25be blacktriangleleft:25c2 ' +
+    'blacktriangleright:25b8 blank:2423 blk12:2592 blk14:2591 blk34:2593 ' +
+    'block:2588 bne:3d+20e5 bnequiv:2261+20e5 bNot:2aed bnot:2310 Bopf:1d539 ' +
+    'bopf:1d553 bot:22a5 bottom:22a5 bowtie:22c8 boxbox:29c9 boxdl:2510 ' +
+    'boxdL:2555 boxDl:2556 boxDL:2557 boxdr:250c boxdR:2552 boxDr:2553 boxDR:2554 ' +
+    'boxh:2500 boxH:2550 boxhd:252c boxHd:2564 boxhD:2565 boxHD:2566 boxhu:2534 ' +
+    'boxHu:2567 boxhU:2568 boxHU:2569 boxminus:229f boxplus:229e boxtimes:22a0 ' +
+    'boxul:2518 boxuL:255b boxUl:255c boxUL:255d boxur:2514 boxuR:2558 boxUr:2559 ' +
+    'boxUR:255a boxv:2502 boxV:2551 boxvh:253c boxvH:256a boxVh:256b boxVH:256c ' +
+    'boxvl:2524 boxvL:2561 boxVl:2562 boxVL:2563 boxvr:251c boxvR:255e boxVr:255f ' +
+    'boxVR:2560 bprime:2035 breve:2d8 Breve:2d8 brvbar:a6 bscr:1d4b7 Bscr:212c ' +
+    'bsemi:204f bsim:223d bsime:22cd bsolb:29c5 bsol:5c bsolhsub:27c8 bull:2022 ' +
+    'bullet:2022 bump:224e bumpE:2aae bumpe:224f Bumpeq:224e bumpeq:224f ' +
+    'Cacute:106 cacute:107 capand:2a44 capbrcup:2a49 capcap:2a4b cap:2229 ' +
+    'Cap:22d2 capcup:2a47 capdot:2a40 CapitalDifferentialD:2145 caps:2229+fe00 ' +
+    'caret:2041 caron:2c7 Cayleys:212d ccaps:2a4d Ccaron:10c ccaron:10d Ccedil:c7 ' +
+    'ccedil:e7 Ccirc:108 ccirc:109 Cconint:2230 ccups:2a4c ccupssm:2a50 Cdot:10a ' +
+    'cdot:10b cedil:b8 Cedilla:b8 cemptyv:29b2 cent:a2 centerdot:b7 CenterDot:b7 ' +
+    'cfr:1d520 Cfr:212d CHcy:427 chcy:447 check:2713 checkmark:2713 Chi:3a7 ' +
+    'chi:3c7 circ:2c6 circeq:2257 circlearrowleft:21ba circlearrowright:21bb ' +
+    'circledast:229b circledcirc:229a circleddash:229d CircleDot:2299 circledR:ae ' +
+    'circledS:24c8 CircleMinus:2296 CirclePlus:2295 CircleTimes:2297 cir:25cb ' +
+    'cirE:29c3 cire:2257 cirfnint:2a10 cirmid:2aef cirscir:29c2 ' +
+    'ClockwiseContourIntegral:2232 CloseCurlyDoubleQuote:201d ' +
+    'CloseCurlyQuote:2019 clubs:2663 clubsuit:2663 colon:3a Colon:2237 ' +
+    'Colone:2a74 colone:2254 coloneq:2254 comma:2c commat:40 comp:2201 ' +
+    'compfn:2218 complement:2201 complexes:2102 cong:2245 congdot:2a6d ' +
+    'Congruent:2261 conint:222e Conint:222f ContourIntegral:222e copf:1d554 ' +
+    'Copf:2102 coprod:2210 Coproduct:2210 copy:a9 COPY:a9 copysr:2117 ' +
+    'CounterClockwiseContourIntegral:2233 crarr:21b5 cross:2717 Cross:2a2f ' +
+    'Cscr:1d49e cscr:1d4b8 csub:2acf csube:2ad1 csup:2ad0 csupe:2ad2 ctdot:22ef ' +
+    'cudarrl:2938 cudarrr:2935 cuepr:22de cuesc:22df cularr:21b6 cularrp:293d ' +
+    'cupbrcap:2a48 cupcap:2a46 CupCap:224d cup:222a Cup:22d3 cupcup:2a4a ' +
+    'cupdot:228d cupor:2a45 cups:222a+fe00 curarr:21b7 curarrm:293c ' +
+    'curlyeqprec:22de curlyeqsucc:22df curlyvee:22ce curlywedge:22cf curren:a4 ' +
+    'curvearrowleft:21b6 curvearrowright:21b7 cuvee:22ce cuwed:22cf cwconint:2232 ' +
+    'cwint:2231 cylcty:232d dagger:2020 Dagger:2021 daleth:2138 darr:2193 ' +
+    'Darr:21a1 dArr:21d3 dash:2010 Dashv:2ae4 dashv:22a3 dbkarow:290f dblac:2dd ' +
+    'Dcaron:10e dcaron:10f Dcy:414 dcy:434 ddagger:2021 ddarr:21ca DD:2145 ' +
+    'dd:2146 DDotrahd:2911 ddotseq:2a77 deg:b0 Del:2207 Delta:394 delta:3b4 ' +
+    'demptyv:29b1 dfisht:297f Dfr:1d507 dfr:1d521 dHar:2965 dharl:21c3 dharr:21c2 ' +
+    'DiacriticalAcute:b4 DiacriticalDot:2d9 DiacriticalDoubleAcute:2dd ' +
+    'DiacriticalGrave:60 DiacriticalTilde:2dc diam:22c4 diamond:22c4 Diamond:22c4 ' +
+    'diamondsuit:2666 diams:2666 die:a8 DifferentialD:2146 digamma:3dd disin:22f2 ' +
+    'div:f7 divide:f7 divideontimes:22c7 divonx:22c7 DJcy:402 djcy:452 ' +
+    'dlcorn:231e dlcrop:230d dollar:24 Dopf:1d53b dopf:1d555 Dot:a8 dot:2d9 ' +
+    'DotDot:20dc doteq:2250 doteqdot:2251 DotEqual:2250 dotminus:2238 ' +
+    'dotplus:2214 dotsquare:22a1 doublebarwedge:2306 DoubleContourIntegral:222f ' +
+    'DoubleDot:a8 DoubleDownArrow:21d3 DoubleLeftArrow:21d0 ' +
+    'DoubleLeftRightArrow:21d4 DoubleLeftTee:2ae4 DoubleLongLeftArrow:27f8 ' +
+    'DoubleLongLeftRightArrow:27fa DoubleLongRightArrow:27f9 ' +
+    'DoubleRightArrow:21d2 DoubleRightTee:22a8 DoubleUpArrow:21d1 ' +
+    'DoubleUpDownArrow:21d5 DoubleVerticalBar:2225 DownArrowBar:2913 ' +
+    'downarrow:2193 DownArrow:2193 Downarrow:21d3 DownArrowUpArrow:21f5 ' +
+    'DownBreve:311 downdownarrows:21ca downharpoonleft:21c3 downharpoonright:21c2 ' +
+    'DownLeftRightVector:2950 DownLeftTeeVector:295e DownLeftVectorBar:2956 ' +
+    'DownLeftVector:21bd DownRightTeeVector:295f DownRightVectorBar:2957 ' +
+    'DownRightVector:21c1 DownTeeArrow:21a7 DownTee:22a4 drbkarow:2910 ' +
+    'drcorn:231f drcrop:230c Dscr:1d49f dscr:1d4b9 DScy:405 dscy:455 dsol:29f6 ' +
+    'Dstrok:110 dstrok:111 dtdot:22f1 dtri:25bf dtrif:25be duarr:21f5 duhar:296f ' +
+    'dwangle:29a6 DZcy:40f dzcy:45f dzigrarr:27ff Eacute:c9 eacute:e9 easter:2a6e ' +
+    'Ecaron:11a ecaron:11b Ecirc:ca ecirc:ea ecir:2256 ecolon:2255 Ecy:42d ' +
+    'ecy:44d eDDot:2a77 Edot:116 edot:117 eDot:2251 ee:2147 efDot:2252 Efr:1d508 ' +
+    'efr:1d522 eg:2a9a Egrave:c8 egrave:e8 egs:2a96 egsdot:2a98 el:2a99 ' +
+    'Element:2208 elinters:23e7 ell:2113 els:2a95 elsdot:2a97 Emacr:112 emacr:113 ' +
+    'empty:2205 emptyset:2205 EmptySmallSquare:25fb emptyv:2205 ' +
+    'EmptyVerySmallSquare:25ab emsp13:2004 emsp14:2005 emsp:2003 ENG:14a eng:14b ' +
+    'ensp:2002 Eogon:118 eogon:119 Eopf:1d53c eopf:1d556 epar:22d5 eparsl:29e3 ' +
+    'eplus:2a71 epsi:3b5 Epsilon:395 epsilon:3b5 epsiv:3f5 eqcirc:2256 ' +
+    'eqcolon:2255 eqsim:2242 eqslantgtr:2a96 eqslantless:2a95 Equal:2a75 ' +
+    'equals:3d EqualTilde:2242 equest:225f Equilibrium:21cc equiv:2261 ' +
+    'equivDD:2a78 eqvparsl:29e5 erarr:2971 erDot:2253 escr:212f Escr:2130 ' +
+    'esdot:2250 Esim:2a73 esim:2242 Eta:397 eta:3b7 ETH:d0 eth:f0 Euml:cb euml:eb ' +
+    'euro:20ac excl:21 exist:2203 Exists:2203 expectation:2130 exponentiale:2147 ' +
+    'ExponentialE:2147 fallingdotseq:2252 Fcy:424 fcy:444 female:2640 ffilig:fb03 ' +
+    'fflig:fb00 ffllig:fb04 Ffr:1d509 ffr:1d523 filig:fb01 FilledSmallSquare:25fc ' +
+    'FilledVerySmallSquare:25aa fjlig:66+6a flat:266d fllig:fb02 fltns:25b1 ' +
+    'fnof:192 Fopf:1d53d fopf:1d557 forall:2200 ForAll:2200 fork:22d4 forkv:2ad9 ' +
+    'Fouriertrf:2131 fpartint:2a0d frac12:bd frac13:2153 frac14:bc frac15:2155 ' +
+    'frac16:2159 frac18:215b frac23:2154 frac25:2156 frac34:be frac35:2157 ' +
+    'frac38:215c frac45:2158 frac56:215a frac58:215d frac78:215e frasl:2044 ' +
+    'frown:2322 fscr:1d4bb Fscr:2131 gacute:1f5 Gamma:393 gamma:3b3 Gammad:3dc ' +
+    'gammad:3dd gap:2a86 Gbreve:11e gbreve:11f Gcedil:122 Gcirc:11c gcirc:11d ' +
+    'Gcy:413 gcy:433 Gdot:120 gdot:121 ge:2265 gE:2267 gEl:2a8c gel:22db geq:2265 ' +
+    'geqq:2267 geqslant:2a7e gescc:2aa9 ges:2a7e gesdot:2a80 gesdoto:2a82 ' +
+    'gesdotol:2a84 gesl:22db+fe00 gesles:2a94 Gfr:1d50a gfr:1d524 gg:226b Gg:22d9 ' +
+    'ggg:22d9 gimel:2137 GJcy:403 gjcy:453 gla:2aa5 gl:2277 glE:2a92 glj:2aa4 ' +
+    'gnap:2a8a gnapprox:2a8a gne:2a88 gnE:2269 gneq:2a88 gneqq:2269 gnsim:22e7 ' +
+    'Gopf:1d53e gopf:1d558 grave:60 GreaterEqual:2265 GreaterEqualLess:22db ' +
+    'GreaterFullEqual:2267 GreaterGreater:2aa2 GreaterLess:2277 ' +
+    'GreaterSlantEqual:2a7e GreaterTilde:2273 Gscr:1d4a2 gscr:210a gsim:2273 ' +
+    'gsime:2a8e gsiml:2a90 gtcc:2aa7 gtcir:2a7a gt:3e GT:3e Gt:226b gtdot:22d7 ' +
+    'gtlPar:2995 gtquest:2a7c gtrapprox:2a86 gtrarr:2978 gtrdot:22d7 ' +
+    'gtreqless:22db gtreqqless:2a8c gtrless:2277 gtrsim:2273 gvertneqq:2269+fe00 ' +
+    'gvnE:2269+fe00 Hacek:2c7 hairsp:200a half:bd hamilt:210b HARDcy:42a ' +
+    'hardcy:44a harrcir:2948 harr:2194 hArr:21d4 harrw:21ad Hat:5e hbar:210f ' +
+    'Hcirc:124 hcirc:125 hearts:2665 heartsuit:2665 hellip:2026 hercon:22b9 ' +
+    'hfr:1d525 Hfr:210c HilbertSpace:210b hksearow:2925 hkswarow:2926 hoarr:21ff ' +
+    'homtht:223b hookleftarrow:21a9 hookrightarrow:21aa hopf:1d559 Hopf:210d ' +
+    'horbar:2015 HorizontalLine:2500 hscr:1d4bd Hscr:210b hslash:210f Hstrok:126 ' +
+    'hstrok:127 HumpDownHump:224e HumpEqual:224f hybull:2043 hyphen:2010 ' +
+    'Iacute:cd iacute:ed ic:2063 Icirc:ce icirc:ee Icy:418 icy:438 Idot:130 ' +
+    'IEcy:415 iecy:435 iexcl:a1 iff:21d4 ifr:1d526 Ifr:2111 Igrave:cc igrave:ec ' +
+    'ii:2148 iiiint:2a0c iiint:222d iinfin:29dc iiota:2129 IJlig:132 ijlig:133 ' +
+    'Imacr:12a imacr:12b image:2111 ImaginaryI:2148 imagline:2110 imagpart:2111 ' +
+    'imath:131 Im:2111 imof:22b7 imped:1b5 Implies:21d2 incare:2105 in:2208 ' +
+    'infin:221e infintie:29dd inodot:131 intcal:22ba int:222b Int:222c ' +
+    'integers:2124 Integral:222b intercal:22ba Intersection:22c2 intlarhk:2a17 ' +
+    'intprod:2a3c InvisibleComma:2063 InvisibleTimes:2062 IOcy:401 iocy:451 ' +
+    'Iogon:12e iogon:12f Iopf:1d540 iopf:1d55a Iota:399 iota:3b9 iprod:2a3c ' +
+    'iquest:bf iscr:1d4be Iscr:2110 isin:2208 isindot:22f5 isinE:22f9 isins:22f4 ' +
+    'isinsv:22f3 isinv:2208 it:2062 Itilde:128 itilde:129 Iukcy:406 iukcy:456 ' +
+    'Iuml:cf iuml:ef Jcirc:134 jcirc:135 Jcy:419 jcy:439 Jfr:1d50d jfr:1d527 ' +
+    'jmath:237 Jopf:1d541 jopf:1d55b Jscr:1d4a5 jscr:1d4bf Jsercy:408 jsercy:458 ' +
+    'Jukcy:404 jukcy:454 Kappa:39a kappa:3ba kappav:3f0 Kcedil:136 kcedil:137 ' +
+    'Kcy:41a kcy:43a Kfr:1d50e kfr:1d528 kgreen:138 KHcy:425 khcy:445 KJcy:40c ' +
+    'kjcy:45c Kopf:1d542 kopf:1d55c Kscr:1d4a6 kscr:1d4c0 lAarr:21da Lacute:139 ' +
+    'lacute:13a laemptyv:29b4 lagran:2112 Lambda:39b lambda:3bb lang:27e8 ' +
+    'Lang:27ea langd:2991 langle:27e8 lap:2a85 Laplacetrf:2112 laquo:ab ' +
+    'larrb:21e4 larrbfs:291f larr:2190 Larr:219e lArr:21d0 larrfs:291d ' +
+    'larrhk:21a9 larrlp:21ab larrpl:2939 larrsim:2973 larrtl:21a2 latail:2919 ' +
+    'lAtail:291b lat:2aab late:2aad lates:2aad+fe00 lbarr:290c lBarr:290e ' +
+    'lbbrk:2772 lbrace:7b lbrack:5b lbrke:298b lbrksld:298f lbrkslu:298d ' +
+    'Lcaron:13d lcaron:13e Lcedil:13b lcedil:13c lceil:2308 lcub:7b Lcy:41b ' +
+    'lcy:43b ldca:2936 ldquo:201c ldquor:201e ldrdhar:2967 ldrushar:294b ' +
+    'ldsh:21b2 le:2264 lE:2266 LeftAngleBracket:27e8 LeftArrowBar:21e4 ' +
+    'leftarrow:2190 LeftArrow:2190 Leftarrow:21d0 LeftArrowRightArrow:21c6 ' +
+    'leftarrowtail:21a2 LeftCeiling:2308 LeftDoubleBracket:27e6 ' +
+    'LeftDownTeeVector:2961 LeftDownVectorBar:2959 LeftDownVector:21c3 ' +
+    'LeftFloor:230a leftharpoondown:21bd leftharpoonup:21bc leftleftarrows:21c7 ' +
+    'leftrightarrow:2194 LeftRightArrow:2194 Leftrightarrow:21d4 ' +
+    'leftrightarrows:21c6 leftrightharpoons:21cb leftrightsquigarrow:21ad ' +
+    'LeftRightVector:294e LeftTeeArrow:21a4 LeftTee:22a3 LeftTeeVector:295a ' +
+    'leftthreetimes:22cb LeftTriangleBar:29cf LeftTriangle:22b2 ' +
+    'LeftTriangleEqual:22b4 LeftUpDownVector:2951 LeftUpTeeVector:2960 ' +
+    'LeftUpVectorBar:2958 LeftUpVector:21bf LeftVectorBar:2952 LeftVector:21bc ' +
+    'lEg:2a8b leg:22da leq:2264 leqq:2266 leqslant:2a7d lescc:2aa8 les:2a7d ' +
+    'lesdot:2a7f lesdoto:2a81 lesdotor:2a83 lesg:22da+fe00 lesges:2a93 ' +
+    'lessapprox:2a85 lessdot:22d6 lesseqgtr:22da lesseqqgtr:2a8b ' +
+    'LessEqualGreater:22da LessFullEqual:2266 LessGreater:2276 lessgtr:2276 ' +
+    'LessLess:2aa1 lesssim:2272 LessSlantEqual:2a7d LessTilde:2272 lfisht:297c ' +
+    'lfloor:230a Lfr:1d50f lfr:1d529 lg:2276 lgE:2a91 lHar:2962 lhard:21bd ' +
+    'lharu:21bc lharul:296a lhblk:2584 LJcy:409 ljcy:459 llarr:21c7 ll:226a ' +
+    'Ll:22d8 llcorner:231e Lleftarrow:21da llhard:296b lltri:25fa Lmidot:13f ' +
+    'lmidot:140 lmoustache:23b0 lmoust:23b0 lnap:2a89 lnapprox:2a89 lne:2a87 ' +
+    'lnE:2268 lneq:2a87 lneqq:2268 lnsim:22e6 loang:27ec loarr:21fd lobrk:27e6 ' +
+    'longleftarrow:27f5 LongLeftArrow:27f5 Longleftarrow:27f8 ' +
+    'longleftrightarrow:27f7 LongLeftRightArrow:27f7 Longleftrightarrow:27fa ' +
+    'longmapsto:27fc longrightarrow:27f6 LongRightArrow:27f6 Longrightarrow:27f9 ' +
+    'looparrowleft:21ab looparrowright:21ac lopar:2985 Lopf:1d543 lopf:1d55d ' +
+    'loplus:2a2d lotimes:2a34 lowast:2217 lowbar:5f LowerLeftArrow:2199 ' +
+    'LowerRightArrow:2198 loz:25ca lozenge:25ca lozf:29eb lpar:28 lparlt:2993 ' +
+    'lrarr:21c6 lrcorner:231f lrhar:21cb lrhard:296d lrm:200e lrtri:22bf ' +
+    'lsaquo:2039 lscr:1d4c1 Lscr:2112 lsh:21b0 Lsh:21b0 lsim:2272 lsime:2a8d ' +
+    'lsimg:2a8f lsqb:5b lsquo:2018 lsquor:201a Lstrok:141 lstrok:142 ltcc:2aa6 ' +
+    'ltcir:2a79 lt:3c LT:3c Lt:226a ltdot:22d6 lthree:22cb ltimes:22c9 ' +
+    'ltlarr:2976 ltquest:2a7b ltri:25c3 ltrie:22b4 ltrif:25c2 ltrPar:2996 ' +
+    'lurdshar:294a luruhar:2966 lvertneqq:2268+fe00 lvnE:2268+fe00 macr:af ' +
+    'male:2642 malt:2720 maltese:2720 Map:2905 map:21a6 mapsto:21a6 ' +
+    'mapstodown:21a7 mapstoleft:21a4 mapstoup:21a5 marker:25ae mcomma:2a29 ' +
+    'Mcy:41c mcy:43c mdash:2014 mDDot:223a measuredangle:2221 MediumSpace:205f ' +
+    'Mellintrf:2133 Mfr:1d510 mfr:1d52a mho:2127 micro:b5 midast:2a midcir:2af0 ' +
+    'mid:2223 middot:b7 minusb:229f minus:2212 minusd:2238 minusdu:2a2a ' +
+    'MinusPlus:2213 mlcp:2adb mldr:2026 mnplus:2213 models:22a7 Mopf:1d544 ' +
+    'mopf:1d55e mp:2213 mscr:1d4c2 Mscr:2133 mstpos:223e Mu:39c mu:3bc ' +
+    'multimap:22b8 mumap:22b8 nabla:2207 Nacute:143 nacute:144 nang:2220+20d2 ' +
+    'nap:2249 napE:2a70+338 napid:224b+338 napos:149 napprox:2249 natural:266e ' +
+    'naturals:2115 natur:266e nbsp:a0 nbump:224e+338 nbumpe:224f+338 ncap:2a43 ' +
+    'Ncaron:147 ncaron:148 Ncedil:145 ncedil:146 ncong:2247 ncongdot:2a6d+338 ' +
+    'ncup:2a42 Ncy:41d ncy:43d ndash:2013 nearhk:2924 nearr:2197 neArr:21d7 ' +
+    'nearrow:2197 ne:2260 nedot:2250+338 NegativeMediumSpace:200b ' +
+    'NegativeThickSpace:200b NegativeThinSpace:200b NegativeVeryThinSpace:200b ' +
+    'nequiv:2262 nesear:2928 nesim:2242+338 NestedGreaterGreater:226b ' +
+    'NestedLessLess:226a NewLine:a nexist:2204 nexists:2204 Nfr:1d511 nfr:1d52b ' +
+    'ngE:2267+338 nge:2271 ngeq:2271 ngeqq:2267+338 ngeqslant:2a7e+338 ' +
+    'nges:2a7e+338 nGg:22d9+338 ngsim:2275 nGt:226b+20d2 ngt:226f ngtr:226f ' +
+    'nGtv:226b+338 nharr:21ae nhArr:21ce nhpar:2af2 ni:220b nis:22fc nisd:22fa ' +
+    'niv:220b NJcy:40a njcy:45a nlarr:219a nlArr:21cd nldr:2025 nlE:2266+338 ' +
+    'nle:2270 nleftarrow:219a nLeftarrow:21cd nleftrightarrow:21ae ' +
+    'nLeftrightarrow:21ce nleq:2270 nleqq:2266+338 nleqslant:2a7d+338 ' +
+    'nles:2a7d+338 nless:226e nLl:22d8+338 nlsim:2274 nLt:226a+20d2 nlt:226e ' +
+    'nltri:22ea nltrie:22ec nLtv:226a+338 nmid:2224 NoBreak:2060 ' +
+    'NonBreakingSpace:a0 nopf:1d55f Nopf:2115 Not:2aec not:ac NotCongruent:2262 ' +
+    'NotCupCap:226d NotDoubleVerticalBar:2226 NotElement:2209 NotEqual:2260 ' +
+    'NotEqualTilde:2242+338 NotExists:2204 NotGreater:226f NotGreaterEqual:2271 ' +
+    'NotGreaterFullEqual:2267+338 NotGreaterGreater:226b+338 NotGreaterLess:2279 ' +
+    'NotGreaterSlantEqual:2a7e+338 NotGreaterTilde:2275 NotHumpDownHump:224e+338 ' +
+    'NotHumpEqual:224f+338 notin:2209 notindot:22f5+338 notinE:22f9+338 ' +
+    'notinva:2209 notinvb:22f7 notinvc:22f6 NotLeftTriangleBar:29cf+338 ' +
+    'NotLeftTriangle:22ea NotLeftTriangleEqual:22ec NotLess:226e ' +
+    'NotLessEqual:2270 NotLessGreater:2278 NotLessLess:226a+338 ' +
+    'NotLessSlantEqual:2a7d+338 NotLessTilde:2274 ' +
+    'NotNestedGreaterGreater:2aa2+338 NotNestedLessLess:2aa1+338 notni:220c ' +
+    'notniva:220c notnivb:22fe notnivc:22fd NotPrecedes:2280 ' +
+    'NotPrecedesEqual:2aaf+338 NotPrecedesSlantEqual:22e0 NotReverseElement:220c ' +
+    'NotRightTriangleBar:29d0+338 NotRightTriangle:22eb ' +
+    'NotRightTriangleEqual:22ed NotSquareSubset:228f+338 ' +
+    'NotSquareSubsetEqual:22e2 NotSquareSuperset:2290+338 ' +
+    'NotSquareSupersetEqual:22e3 NotSubset:2282+20d2 NotSubsetEqual:2288 ' +
+    'NotSucceeds:2281 NotSucceedsEqual:2ab0+338 NotSucceedsSlantEqual:22e1 ' +
+    'NotSucceedsTilde:227f+338 NotSuperset:2283+20d2 NotSupersetEqual:2289 ' +
+    'NotTilde:2241 NotTildeEqual:2244 NotTildeFullEqual:2247 NotTildeTilde:2249 ' +
+    'NotVerticalBar:2224 nparallel:2226 npar:2226 nparsl:2afd+20e5 npart:2202+338 ' +
+    'npolint:2a14 npr:2280 nprcue:22e0 nprec:2280 npreceq:2aaf+338 npre:2aaf+338 ' +
+    'nrarrc:2933+338 nrarr:219b nrArr:21cf nrarrw:219d+338 nrightarrow:219b ' +
+    'nRightarrow:21cf nrtri:22eb nrtrie:22ed nsc:2281 nsccue:22e1 nsce:2ab0+338 ' +
+    'Nscr:1d4a9 nscr:1d4c3 nshortmid:2224 nshortparallel:2226 nsim:2241 ' +
+    'nsime:2244 nsimeq:2244 nsmid:2224 nspar:2226 nsqsube:22e2 nsqsupe:22e3 ' +
+    'nsub:2284 nsubE:2ac5+338 nsube:2288 nsubset:2282+20d2 nsubseteq:2288 ' +
+    'nsubseteqq:2ac5+338 nsucc:2281 nsucceq:2ab0+338 nsup:2285 nsupE:2ac6+338 ' +
+    'nsupe:2289 nsupset:2283+20d2 nsupseteq:2289 nsupseteqq:2ac6+338 ntgl:2279 ' +
+    'Ntilde:d1 ntilde:f1 ntlg:2278 ntriangleleft:22ea ntrianglelefteq:22ec ' +
+    'ntriangleright:22eb ntrianglerighteq:22ed Nu:39d nu:3bd num:23 numero:2116 ' +
+    'numsp:2007 nvap:224d+20d2 nvdash:22ac nvDash:22ad nVdash:22ae nVDash:22af ' +
+    'nvge:2265+20d2 nvgt:3e+20d2 nvHarr:2904 nvinfin:29de nvlArr:2902 ' +
+    'nvle:2264+20d2 nvlt:3c+20d2 nvltrie:22b4+20d2 nvrArr:2903 nvrtrie:22b5+20d2 ' +
+    'nvsim:223c+20d2 nwarhk:2923 nwarr:2196 nwArr:21d6 nwarrow:2196 nwnear:2927 ' +
+    'Oacute:d3 oacute:f3 oast:229b Ocirc:d4 ocirc:f4 ocir:229a Ocy:41e ocy:43e ' +
+    'odash:229d Odblac:150 odblac:151 odiv:2a38 odot:2299 odsold:29bc OElig:152 ' +
+    'oelig:153 ofcir:29bf Ofr:1d512 ofr:1d52c ogon:2db Ograve:d2 ograve:f2 ' +
+    'ogt:29c1 ohbar:29b5 ohm:3a9 oint:222e olarr:21ba olcir:29be olcross:29bb ' +
+    'oline:203e olt:29c0 Omacr:14c omacr:14d Omega:3a9 omega:3c9 Omicron:39f ' +
+    'omicron:3bf omid:29b6 ominus:2296 Oopf:1d546 oopf:1d560 opar:29b7 ' +
+    'OpenCurlyDoubleQuote:201c OpenCurlyQuote:2018 operp:29b9 oplus:2295 ' +
+    'orarr:21bb Or:2a54 or:2228 ord:2a5d order:2134 orderof:2134 ordf:aa ordm:ba ' +
+    'origof:22b6 oror:2a56 orslope:2a57 orv:2a5b oS:24c8 Oscr:1d4aa oscr:2134 ' +
+    'Oslash:d8 oslash:f8 osol:2298 Otilde:d5 otilde:f5 otimesas:2a36 Otimes:2a37 ' +
+    'otimes:2297 Ouml:d6 ouml:f6 ovbar:233d OverBar:203e OverBrace:23de ' +
+    'OverBracket:23b4 OverParenthesis:23dc para:b6 parallel:2225 par:2225 ' +
+    'parsim:2af3 parsl:2afd part:2202 PartialD:2202 Pcy:41f pcy:43f percnt:25 ' +
+    'period:2e permil:2030 perp:22a5 pertenk:2031 Pfr:1d513 pfr:1d52d Phi:3a6 ' +
+    'phi:3c6 phiv:3d5 phmmat:2133 phone:260e Pi:3a0 pi:3c0 pitchfork:22d4 piv:3d6 ' +
+    'planck:210f planckh:210e plankv:210f plusacir:2a23 plusb:229e pluscir:2a22 ' +
+    'plus:2b plusdo:2214 plusdu:2a25 pluse:2a72 PlusMinus:b1 plusmn:b1 ' +
+    'plussim:2a26 plustwo:2a27 pm:b1 Poincareplane:210c pointint:2a15 popf:1d561 ' +
+    'Popf:2119 pound:a3 prap:2ab7 Pr:2abb pr:227a prcue:227c precapprox:2ab7 ' +
+    'prec:227a preccurlyeq:227c Precedes:227a PrecedesEqual:2aaf ' +
+    'PrecedesSlantEqual:227c PrecedesTilde:227e preceq:2aaf precnapprox:2ab9 ' +
+    'precneqq:2ab5 precnsim:22e8 pre:2aaf prE:2ab3 precsim:227e prime:2032 ' +
+    'Prime:2033 primes:2119 prnap:2ab9 prnE:2ab5 prnsim:22e8 prod:220f ' +
+    'Product:220f profalar:232e profline:2312 profsurf:2313 prop:221d ' +
+    'Proportional:221d Proportion:2237 propto:221d prsim:227e prurel:22b0 ' +
+    'Pscr:1d4ab pscr:1d4c5 Psi:3a8 psi:3c8 puncsp:2008 Qfr:1d514 qfr:1d52e ' +
+    'qint:2a0c qopf:1d562 Qopf:211a qprime:2057 Qscr:1d4ac qscr:1d4c6 ' +
+    'quaternions:210d quatint:2a16 quest:3f questeq:225f quot:22 QUOT:22 ' +
+    'rAarr:21db race:223d+331 Racute:154 racute:155 radic:221a raemptyv:29b3 ' +
+    'rang:27e9 Rang:27eb rangd:2992 range:29a5 rangle:27e9 raquo:bb rarrap:2975 ' +
+    'rarrb:21e5 rarrbfs:2920 rarrc:2933 rarr:2192 Rarr:21a0 rArr:21d2 rarrfs:291e ' +
+    'rarrhk:21aa rarrlp:21ac rarrpl:2945 rarrsim:2974 Rarrtl:2916 rarrtl:21a3 ' +
+    'rarrw:219d ratail:291a rAtail:291c ratio:2236 rationals:211a rbarr:290d ' +
+    'rBarr:290f RBarr:2910 rbbrk:2773 rbrace:7d rbrack:5d rbrke:298c rbrksld:298e ' +
+    'rbrkslu:2990 Rcaron:158 rcaron:159 Rcedil:156 rcedil:157 rceil:2309 rcub:7d ' +
+    'Rcy:420 rcy:440 rdca:2937 rdldhar:2969 rdquo:201d rdquor:201d rdsh:21b3 ' +
+    'real:211c realine:211b realpart:211c reals:211d Re:211c rect:25ad reg:ae ' +
+    'REG:ae ReverseElement:220b ReverseEquilibrium:21cb ReverseUpEquilibrium:296f ' +
+    'rfisht:297d rfloor:230b rfr:1d52f Rfr:211c rHar:2964 rhard:21c1 rharu:21c0 ' +
+    'rharul:296c Rho:3a1 rho:3c1 rhov:3f1 RightAngleBracket:27e9 ' +
+    'RightArrowBar:21e5 rightarrow:2192 RightArrow:2192 Rightarrow:21d2 ' +
+    'RightArrowLeftArrow:21c4 rightarrowtail:21a3 RightCeiling:2309 ' +
+    'RightDoubleBracket:27e7 RightDownTeeVector:295d RightDownVectorBar:2955 ' +
+    'RightDownVector:21c2 RightFloor:230b rightharpoondown:21c1 ' +
+    'rightharpoonup:21c0 rightleftarrows:21c4 rightleftharpoons:21cc ' +
+    'rightrightarrows:21c9 rightsquigarrow:219d RightTeeArrow:21a6 RightTee:22a2 ' +
+    'RightTeeVector:295b rightthreetimes:22cc RightTriangleBar:29d0 ' +
+    'RightTriangle:22b3 RightTriangleEqual:22b5 RightUpDownVector:294f ' +
+    'RightUpTeeVector:295c RightUpVectorBar:2954 RightUpVector:21be ' +
+    'RightVectorBar:2953 RightVector:21c0 ring:2da risingdotseq:2253 rlarr:21c4 ' +
+    'rlhar:21cc rlm:200f rmoustache:23b1 rmoust:23b1 rnmid:2aee roang:27ed ' +
+    'roarr:21fe robrk:27e7 ropar:2986 ropf:1d563 Ropf:211d roplus:2a2e ' +
+    'rotimes:2a35 RoundImplies:2970 rpar:29 rpargt:2994 rppolint:2a12 rrarr:21c9 ' +
+    'Rrightarrow:21db rsaquo:203a rscr:1d4c7 Rscr:211b rsh:21b1 Rsh:21b1 rsqb:5d ' +
+    'rsquo:2019 rsquor:2019 rthree:22cc rtimes:22ca rtri:25b9 rtrie:22b5 ' +
+    'rtrif:25b8 rtriltri:29ce RuleDelayed:29f4 ruluhar:2968 rx:211e Sacute:15a ' +
+    'sacute:15b sbquo:201a scap:2ab8 Scaron:160 scaron:161 Sc:2abc sc:227b ' +
+    'sccue:227d sce:2ab0 scE:2ab4 Scedil:15e scedil:15f Scirc:15c scirc:15d ' +
+    'scnap:2aba scnE:2ab6 scnsim:22e9 scpolint:2a13 scsim:227f Scy:421 scy:441 ' +
+    'sdotb:22a1 sdot:22c5 sdote:2a66 searhk:2925 searr:2198 seArr:21d8 ' +
+    'searrow:2198 sect:a7 semi:3b seswar:2929 setminus:2216 setmn:2216 sext:2736 ' +
+    'Sfr:1d516 sfr:1d530 sfrown:2322 sharp:266f SHCHcy:429 shchcy:449 SHcy:428 ' +
+    'shcy:448 ShortDownArrow:2193 ShortLeftArrow:2190 shortmid:2223 ' +
+    'shortparallel:2225 ShortRightArrow:2192 ShortUpArrow:2191 shy:ad Sigma:3a3 ' +
+    'sigma:3c3 sigmaf:3c2 sigmav:3c2 sim:223c simdot:2a6a sime:2243 simeq:2243 ' +
+    'simg:2a9e simgE:2aa0 siml:2a9d simlE:2a9f simne:2246 simplus:2a24 ' +
+    'simrarr:2972 slarr:2190 SmallCircle:2218 smallsetminus:2216 smashp:2a33 ' +
+    'smeparsl:29e4 smid:2223 smile:2323 smt:2aaa smte:2aac smtes:2aac+fe00 ' +
+    'SOFTcy:42c softcy:44c solbar:233f solb:29c4 sol:2f Sopf:1d54a sopf:1d564 ' +
+    'spades:2660 spadesuit:2660 spar:2225 sqcap:2293 sqcaps:2293+fe00 sqcup:2294 ' +
+    'sqcups:2294+fe00 Sqrt:221a sqsub:228f sqsube:2291 sqsubset:228f ' +
+    'sqsubseteq:2291 sqsup:2290 sqsupe:2292 sqsupset:2290 sqsupseteq:2292 ' +
+    'square:25a1 Square:25a1 SquareIntersection:2293 SquareSubset:228f ' +
+    'SquareSubsetEqual:2291 SquareSuperset:2290 SquareSupersetEqual:2292 ' +
+    'SquareUnion:2294 squarf:25aa squ:25a1 squf:25aa srarr:2192 Sscr:1d4ae ' +
+    'sscr:1d4c8 ssetmn:2216 ssmile:2323 sstarf:22c6 Star:22c6 star:2606 ' +
+    'starf:2605 straightepsilon:3f5 straightphi:3d5 strns:af sub:2282 Sub:22d0 ' +
+    'subdot:2abd subE:2ac5 sube:2286 subedot:2ac3 submult:2ac1 subnE:2acb ' +
+    'subne:228a subplus:2abf subrarr:2979 subset:2282 Subset:22d0 subseteq:2286 ' +
+    'subseteqq:2ac5 SubsetEqual:2286 subsetneq:228a subsetneqq:2acb subsim:2ac7 ' +
+    'subsub:2ad5 subsup:2ad3 succapprox:2ab8 succ:227b succcurlyeq:227d ' +
+    'Succeeds:227b SucceedsEqual:2ab0 SucceedsSlantEqual:227d SucceedsTilde:227f ' +
+    'succeq:2ab0 succnapprox:2aba succneqq:2ab6 succnsim:22e9 succsim:227f ' +
+    'SuchThat:220b sum:2211 Sum:2211 sung:266a sup1:b9 sup2:b2 sup3:b3 sup:2283 ' +
+    'Sup:22d1 supdot:2abe supdsub:2ad8 supE:2ac6 supe:2287 supedot:2ac4 ' +
+    'Superset:2283 SupersetEqual:2287 suphsol:27c9 suphsub:2ad7 suplarr:297b ' +
+    'supmult:2ac2 supnE:2acc supne:228b supplus:2ac0 supset:2283 Supset:22d1 ' +
+    'supseteq:2287 supseteqq:2ac6 supsetneq:228b supsetneqq:2acc supsim:2ac8 ' +
+    'supsub:2ad4 supsup:2ad6 swarhk:2926 swarr:2199 swArr:21d9 swarrow:2199 ' +
+    'swnwar:292a szlig:df Tab:9 target:2316 Tau:3a4 tau:3c4 tbrk:23b4 Tcaron:164 ' +
+    'tcaron:165 Tcedil:162 tcedil:163 Tcy:422 tcy:442 tdot:20db telrec:2315 ' +
+    'Tfr:1d517 tfr:1d531 there4:2234 therefore:2234 Therefore:2234 Theta:398 ' +
+    'theta:3b8 thetasym:3d1 thetav:3d1 thickapprox:2248 thicksim:223c ' +
+    'ThickSpace:205f+200a ThinSpace:2009 thinsp:2009 thkap:2248 thksim:223c ' +
+    'THORN:de thorn:fe tilde:2dc Tilde:223c TildeEqual:2243 TildeFullEqual:2245 ' +
+    'TildeTilde:2248 timesbar:2a31 timesb:22a0 times:d7 timesd:2a30 tint:222d ' +
+    'toea:2928 topbot:2336 topcir:2af1 top:22a4 Topf:1d54b topf:1d565 ' +
+    'topfork:2ada tosa:2929 tprime:2034 trade:2122 TRADE:2122 triangle:25b5 ' +
+    'triangledown:25bf triangleleft:25c3 trianglelefteq:22b4 triangleq:225c ' +
+    'triangleright:25b9 trianglerighteq:22b5 tridot:25ec trie:225c triminus:2a3a ' +
+    'TripleDot:20db triplus:2a39 trisb:29cd tritime:2a3b trpezium:23e2 Tscr:1d4af ' +
+    'tscr:1d4c9 TScy:426 tscy:446 TSHcy:40b tshcy:45b Tstrok:166 tstrok:167 ' +
+    'twixt:226c twoheadleftarrow:219e twoheadrightarrow:21a0 Uacute:da uacute:fa ' +
+    'uarr:2191 Uarr:219f uArr:21d1 Uarrocir:2949 Ubrcy:40e ubrcy:45e Ubreve:16c ' +
+    'ubreve:16d Ucirc:db ucirc:fb Ucy:423 ucy:443 udarr:21c5 Udblac:170 ' +
+    'udblac:171 udhar:296e ufisht:297e Ufr:1d518 ufr:1d532 Ugrave:d9 ugrave:f9 ' +
+    'uHar:2963 uharl:21bf uharr:21be uhblk:2580 ulcorn:231c ulcorner:231c ' +
+    'ulcrop:230f ultri:25f8 Umacr:16a umacr:16b uml:a8 UnderBar:5f ' +
+    'UnderBrace:23df UnderBracket:23b5 UnderParenthesis:23dd Union:22c3 ' +
+    'UnionPlus:228e Uogon:172 uogon:173 Uopf:1d54c uopf:1d566 UpArrowBar:2912 ' +
+    'uparrow:2191 UpArrow:2191 Uparrow:21d1 UpArrowDownArrow:21c5 ' +
+    'updownarrow:2195 UpDownArrow:2195 Updownarrow:21d5 UpEquilibrium:296e ' +
+    'upharpoonleft:21bf upharpoonright:21be uplus:228e UpperLeftArrow:2196 ' +
+    'UpperRightArrow:2197 upsi:3c5 Upsi:3d2 upsih:3d2 Upsilon:3a5 upsilon:3c5 ' +
+    'UpTeeArrow:21a5 UpTee:22a5 upuparrows:21c8 urcorn:231d urcorner:231d ' +
+    'urcrop:230e Uring:16e uring:16f urtri:25f9 Uscr:1d4b0 uscr:1d4ca utdot:22f0 ' +
+    'Utilde:168 utilde:169 utri:25b5 utrif:25b4 uuarr:21c8 Uuml:dc uuml:fc ' +
+    'uwangle:29a7 vangrt:299c varepsilon:3f5 varkappa:3f0 varnothing:2205 ' +
+    'varphi:3d5 varpi:3d6 varpropto:221d varr:2195 vArr:21d5 varrho:3f1 ' +
+    'varsigma:3c2 varsubsetneq:228a+fe00 varsubsetneqq:2acb+fe00 ' +
+    'varsupsetneq:228b+fe00 varsupsetneqq:2acc+fe00 vartheta:3d1 ' +
+    'vartriangleleft:22b2 vartriangleright:22b3 vBar:2ae8 Vbar:2aeb vBarv:2ae9 ' +
+    'Vcy:412 vcy:432 vdash:22a2 vDash:22a8 Vdash:22a9 VDash:22ab Vdashl:2ae6 ' +
+    'veebar:22bb vee:2228 Vee:22c1 veeeq:225a vellip:22ee verbar:7c Verbar:2016 ' +
+    'vert:7c Vert:2016 VerticalBar:2223 VerticalLine:7c VerticalSeparator:2758 ' +
+    'VerticalTilde:2240 VeryThinSpace:200a Vfr:1d519 vfr:1d533 vltri:22b2 ' +
+    'vnsub:2282+20d2 vnsup:2283+20d2 Vopf:1d54d vopf:1d567 vprop:221d vrtri:22b3 ' +
+    'Vscr:1d4b1 vscr:1d4cb vsubnE:2acb+fe00 vsubne:228a+fe00 vsupnE:2acc+fe00 ' +
+    'vsupne:228b+fe00 Vvdash:22aa vzigzag:299a Wcirc:174 wcirc:175 wedbar:2a5f ' +
+    'wedge:2227 Wedge:22c0 wedgeq:2259 weierp:2118 Wfr:1d51a wfr:1d534 Wopf:1d54e ' +
+    'wopf:1d568 wp:2118 wr:2240 wreath:2240 Wscr:1d4b2 wscr:1d4cc xcap:22c2 ' +
+    'xcirc:25ef xcup:22c3 xdtri:25bd Xfr:1d51b xfr:1d535 xharr:27f7 xhArr:27fa ' +
+    'Xi:39e xi:3be xlarr:27f5 xlArr:27f8 xmap:27fc xnis:22fb xodot:2a00 ' +
+    'Xopf:1d54f xopf:1d569 xoplus:2a01 xotime:2a02 xrarr:27f6 xrArr:27f9 ' +
+    'Xscr:1d4b3 xscr:1d4cd xsqcup:2a06 xuplus:2a04 xutri:25b3 xvee:22c1 ' +
+    'xwedge:22c0 Yacute:dd yacute:fd YAcy:42f yacy:44f Ycirc:176 ycirc:177 ' +
+    'Ycy:42b ycy:44b yen:a5 Yfr:1d51c yfr:1d536 YIcy:407 yicy:457 Yopf:1d550 ' +
+    'yopf:1d56a Yscr:1d4b4 yscr:1d4ce YUcy:42e yucy:44e yuml:ff Yuml:178 ' +
+    'Zacute:179 zacute:17a Zcaron:17d zcaron:17e Zcy:417 zcy:437 Zdot:17b ' +
+    'zdot:17c zeetrf:2128 ZeroWidthSpace:200b Zeta:396 zeta:3b6 zfr:1d537 ' +
+    'Zfr:2128 ZHcy:416 zhcy:436 zigrarr:21dd zopf:1d56b Zopf:2124 Zscr:1d4b5 ' +
+    'zscr:1d4cf zwj:200d zwnj:200c'
+);
+
+// Obtains the string for a code point, using a surrogate pair if needed. Like
+// browsers do, invalid code points are replaced by U+FFFD.
+function codePoint(code) {
+    if (!code || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+        return '\uFFFD';
+    }
+    if (code > 0xFFFF) {
+        code -= 0x10000;
+        return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+    }
+    return String.fromCharCode(code);
+}
+
+// Named references which browsers decode even without the semicolon, the longest
+// ones first so they are preferred (ie: `&notin` is `&not` followed by `in`)
+var legacyEntities = new RegExp('^(' + (
+    'AElig AMP Aacute Acirc Agrave Aring Atilde Auml COPY Ccedil ETH Eacute Ecirc ' +
+    'Egrave Euml GT Iacute Icirc Igrave Iuml LT Ntilde Oacute Ocirc Ograve Oslash ' +
+    'Otilde Ouml QUOT REG THORN Uacute Ucirc Ugrave Uuml Yacute aacute acirc acute ' +
+    'aelig agrave amp aring atilde auml brvbar ccedil cedil cent copy curren deg ' +
+    'divide eacute ecirc egrave eth euml frac12 frac14 frac34 gt iacute icirc iexcl ' +
+    'igrave iquest iuml laquo lt macr micro middot nbsp not ntilde oacute ocirc ' +
+    'ograve ordf ordm oslash otilde ouml para plusmn pound quot raquo reg sect shy ' +
+    'sup1 sup2 sup3 szlig thorn times uacute ucirc ugrave uml uuml yacute yen yuml'
+).split(' ').sort(function(a, b){ return b.length - a.length; }).join('|') + ')');
+
+// decodeEntities
+// --------------
+//  Replaces the character references found in the given text. The legacy named
+//  references without a semicolon are also decoded, except in attribute values
+//  when followed by an alphanumeric character or `=` (ie: `?a=1&copy=2`).
+//
+function decodeEntities(txt, attr) {
+    if (-1 === txt.indexOf('&')) {
+        return txt;
+    }
+
+    return txt.replace(/&(?:(#[0-9]+|#x[0-9a-f]+);?|([a-z][a-z0-9]*)(;?))/gi, function(m0, num, name, semi, ofs){
+        var m, rest;
+
+        if (num) {
+            return codePoint(num.charAt(1).toLowerCase() === 'x' ? parseInt(num.substr(2), 16) : parseInt(num.substr(1), 10));
+        }
+        if (semi && entities.hasOwnProperty(name)) {
+            return entities[name];
+        }
+
+        m = legacyEntities.exec(name);
+        if (!m) {
+            return m0;
+        }
+
+        rest = name.substring(m[1].length) + semi;
+        if (attr && (/^[a-z0-9]/i.test(rest) || (!rest && txt.charAt(ofs + m0.length) === '='))) {
+            return m0;
+        }
+        return entities[m[1]] + rest;
+    });
+}
+
+// namespaceScope
+// --------------
+//  Builds the initial namespace prefixes known by the parser. Besides the standard 
+//  ones, in xml mode the prefixes given in the `namespaces` option are also included
+//  so templates don't need to declare them.
+//
+function namespaceScope(opts) {
+    var k, scope = {
+        xml: DomTal.NS.XML,
+        xmlns: DomTal.NS.XMLNS,
+        xlink: DomTal.NS.XLINK
+    };
+
+    if (opts && opts.xml && opts.namespaces) {
+        for (k in opts.namespaces) if (opts.namespaces.hasOwnProperty(k)) {
+            scope[k] = opts.namespaces[k];
+        }
+    }
+
+    return scope;
+}
+
+// Copies a namespace scope so it can be modified for a nested element
+function inherit(scope) {
+    var k, copy = {};
+    for (k in scope) if (scope.hasOwnProperty(k)) {
+        copy[k] = scope[k];
+    }
+    return copy;
+}
+
+// stringToDom
+// -----------
+//  Converts the given html text to a DOM Fragment
+//
+//      var html = 'This is an <em>html</em> string';
+//      var fragment = stringToDom( html, document );
+//
+//  The markup is parsed by our own tokenizer, so there is no need to guess a proper 
+//  container for the contents like when letting the browser parse it with innerHTML. 
+//  It's tolerant with the common html shortcuts, like void elements, optional closing 
+//  tags or unescaped ampersands, and also accepts the XHTML short syntax `<tag />` for
+//  any element. Malformed markup is recovered from like html5 parsers do, ignoring the
+//  stray end tags and implicitly closing the elements left open, and it's reported to
+//  the `warn` option (by default `DomTal.warn`) with an error object having also the
+//  `line` and `column` where it was found. Just the unknown namespace prefixes in xml
+//  mode raise the error instead.
+//
+//  The elements are created in the namespace declared with `xmlns` attributes, being
+//  `svg` and `math` elements implicitly in their own namespace like in html5. If the
+//  `xml` option is set the html rules are not applied, names are case sensitive and
+//  every prefix must be declared in the template or in the `namespaces` option.
+//
+//      var fragment = stringToDom( '<t:block t:content="foo"/>', document, {
+//          xml: true, namespaces: {t: DomTal.NS.TAL}
+//      });
+//
+//  With the `lines` option the elements, their attributes and the text nodes get a 
+//  `domtal_position` property with the `line` and `column` where they were found.
+//
+function stringToDom( html, doc, opts ) {
+    var fragment = doc.createDocumentFragment(),
+        xml = !!(opts && opts.xml),
+        lines = !!(opts && opts.lines),
+        root = {node: fragment, scope: namespaceScope(opts), html: !xml},
+        stack = [],         // open elements as {node, name, pos, scope, html}
+        ctx = root,
+        pos = 0, len = html.length,
+        cursor = {ofs: 0, line: 1, start: 0},
+        m, idx, name, lname, node, attrs, raw, itm;
+
+    // Obtains the line and column for an offset of the template
+    function position(ofs) {
+        if (ofs < cursor.ofs) {
+            cursor = {ofs: 0, line: 1, start: 0};
+        }
+        for (; cursor.ofs < ofs; cursor.ofs++) {
+            if (html.charCodeAt(cursor.ofs) === 10) {
+                cursor.line++;
+                cursor.start = cursor.ofs + 1;
+            }
+        }
+        return {line: cursor.line, column: ofs - cursor.start + 1};
+    }
+
+    // Creates an error for the given offset of the template
+    function problem(msg, ofs) {
+        var at = position(ofs),
+            err = new Error(msg + ' at line ' + at.line + ', column ' + at.column);
+        err.line = at.line;
+        err.column = at.column;
+        return err;
+    }
+
+    function fail(msg, ofs) {
+        throw problem(msg, ofs);
+    }
+
+    function warn(msg, ofs) {
+        ((opts && opts.warn) || DomTal.warn)( problem(msg, ofs) );
+    }
+
+    function addText(txt, ofs) {
+        var parent = ctx.node;
+        if (!txt.length) return;
+        txt = decodeEntities(txt);
+        if (parent.lastChild && parent.lastChild.nodeType === 3) {
+            parent.lastChild.nodeValue += txt;
+        } else {
+            parent.appendChild( doc.createTextNode(txt) );
+            if (lines) {
+                parent.lastChild.domtal_position = position(ofs);
+            }
+        }
+    }
+
+    function close() {
+        stack.pop();
+        ctx = stack.length ? stack[stack.length-1] : root;
+    }
+
+    // Checks if an open element can be closed without its end tag
+    function canOmitEnd(itm) {
+        return itm.html && optionalEnd.test(itm.name);
+    }
+
+    // Closes the elements until the one with the given name (included)
+    function closeUntil(name, ofs) {
+        var i = stack.length, itm;
+        while (i--) {
+            if (stack[i].name === name) break;
+        }
+        if (i < 0) {
+            // The end tags of void elements are harmless, ie: <input></input>
+            if (xml || !voidElements.test(name)) {
+                warn('Unexpected closing tag </' + name + '>', ofs);
+            }
+            return;
+        }
+        while (stack.length > i) {
+            itm = stack[stack.length-1];
+            if (itm.name !== name && !canOmitEnd(itm)) {
+                warn('Unclosed element <' + itm.name + '> found while closing </' + name + '>', itm.pos);
+            }
+            close();
+        }
+    }
+
+    // Resolves the namespace for a prefixed name
+    function resolve(qname, scope, ofs) {
+        var idx = qname.indexOf(':'),
+            prefix = qname.substring(0, idx);
+
+        if (scope.hasOwnProperty(prefix)) {
+            return scope[prefix];
+        }
+        if (xml) {
+            fail('Unknown namespace prefix "' + prefix + '"', ofs);
+        }
+        return null;
+    }
+
+    // Parses the attributes of a tag returning them in a list together with the offset
+    // after the tag end. Like in html5 an unterminated tag swallows the rest of the 
+    // template, so nothing is returned then.
+    function attributes(ofs) {
+        var rex = /\s*(?:([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>`]+)|(["'])))?|(\/?>)|(["'])|(.))/g,
+            m, value, key, seen = {}, list = [];
+
+        rex.lastIndex = ofs;
+        while ((m = rex.exec(html))) {
+            if (m[6]) {
+                return {list: list, end: rex.lastIndex, selfClosed: m[6] === '/>'};
+            } else if (m[5] || m[7]) {
+                warn('Unterminated attribute value', m.index + m[0].length - 1);
+                return null;
+            } else if (m[8]) {
+                // a stray slash before the tag end is fine
+                if (m[8] !== '/') {
+                    warn('Unexpected character "' + m[8] + '" in tag', m.index + m[0].length - 1);
+                }
+                continue;
+            }
+
+            value = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '';
+            // Like browsers do, just the first occurrence of an attribute is used
+            key = xml ? m[1] : m[1].toLowerCase();
+            if (!seen.hasOwnProperty(key)) {
+                seen[key] = true;
+                list.push({name: m[1], value: decodeEntities(value, true), pos: m.index + m[0].indexOf(m[1])});
+            }
+        }
+
+        warn('Unterminated tag', ofs);
+        return null;
+    }
+
+    // Creates the element for a tag taking into account the namespace declarations,
+    // nothing is returned if the name is not valid
+    function element(name, attrs, ofs) {
+        var i, attr, node, uri, 
+            scope = ctx.scope,
+            itm = {name: xml ? name : name.toLowerCase(), pos: ofs, html: ctx.html};
+
+        // Process the namespace declarations found in the tag
+        for (i=0; i<attrs.length; i++) {
+            attr = attrs[i];
+            if (attr.name === 'xmlns' || attr.name.indexOf('xmlns:') === 0) {
+                if (scope === ctx.scope) {
+                    scope = inherit(scope);
+                }
+                scope[attr.name === 'xmlns' ? '' : attr.name.substring(6)] = attr.value || null;
+            }
+        }
+
+        // In html mode the svg and math elements switch to their own namespace
+        if (!xml && ctx.html && !scope.hasOwnProperty('') && /^(svg|math)$/.test(itm.name)) {
+            scope = inherit(scope);
+            scope[''] = itm.name === 'svg' ? DomTal.NS.SVG : DomTal.NS.MATHML;
+        }
+
+        uri = name.indexOf(':') > 0 ? resolve(name, scope, ofs) : scope[''];
+        itm.scope = scope;
+        itm.html = !xml && (!uri || uri === DomTal.NS.XHTML);
+
+        try {
+            if (itm.html) {
+                node = doc.createElement(name);
+            } else {
+                node = doc.createElementNS(uri || null, name);
+            }
+        } catch (e) {
+            warn('Invalid element name "' + name + '"', ofs);
+            return null;
+        }
+
+        for (i=0; i<attrs.length; i++) {
+            attr = attrs[i];
+            try {
+                if (attr.name === 'xmlns' || attr.name.indexOf('xmlns:') === 0) {
+                    node.setAttributeNS(DomTal.NS.XMLNS, attr.name, attr.value);
+                } else if (attr.name.indexOf(':') > 0 && (uri = resolve(attr.name, scope, attr.pos))) {
+                    node.setAttributeNS(uri, attr.name, attr.value);
+                } else if (xml) {
+                    node.setAttributeNS(null, attr.name, attr.value);
+                } else {
+                    node.setAttribute(attr.name, attr.value);
+                }
+            } catch (e) {
+                if (e.line) throw e;
+                warn('Invalid attribute name "' + attr.name + '"', attr.pos);
+                continue;
+            }
+
+            if (lines && node.getAttributeNode(attr.name)) {
+                node.getAttributeNode(attr.name).domtal_position = position(attr.pos);
+            }
+        }
+
+        if (lines) {
+            node.domtal_position = position(ofs);
+        }
+
+        // The contents of these elements are html again
+        if (!xml && /^(foreignobject|annotation-xml)$/.test(itm.name)) {
+            itm.scope = inherit(scope);
+            itm.scope[''] = DomTal.NS.XHTML;
+        }
+
+        itm.node = node;
+        return itm;
+    }
+
+    while (pos < len) {
+        idx = html.indexOf('<', pos);
+        if (idx < 0) {
+            addText(html.substring(pos), pos);
+            break;
+        }
+
+        addText(html.substring(pos, idx), pos);
+        pos = idx;
+
+        // Comments
+        if (html.substr(pos, 4) === '<!--') {
+            idx = html.indexOf('-->', pos + 4);
+            if (idx < 0) {
+                warn('Unterminated comment', pos);
+                idx = len;
+            }
+            ctx.node.appendChild( doc.createComment(html.substring(pos + 4, idx)) );
+            pos = idx + 3;
+
+        // CDATA sections are added as plain text
+        } else if (html.substr(pos, 9) === '<![CDATA[') {
+            idx = html.indexOf(']]>', pos + 9);
+            if (idx < 0) {
+                warn('Unterminated CDATA section', pos);
+                idx = len;
+            }
+            if (idx > pos + 9) {
+                ctx.node.appendChild( doc.createTextNode(html.substring(pos + 9, idx)) );
+            }
+            pos = idx + 3;
+
+        // Doctypes and processing instructions are ignored
+        } else if (/^<[!?]/.test(html.substr(pos, 2))) {
+            idx = html.indexOf('>', pos);
+            if (idx < 0) {
+                warn('Unterminated declaration', pos);
+                idx = len;
+            }
+            pos = idx + 1;
+
+        // Closing tags
+        } else if ((m = /^<\/([A-Za-z][^\s\/>]*)\s*>/.exec(html.substr(pos, 256)))) {
+            closeUntil(xml ? m[1] : m[1].toLowerCase(), pos);
+            pos += m[0].length;
+
+        // Opening tags
+        } else if ((m = /^<([A-Za-z][^\s\/>]*)/.exec(html.substr(pos, 256)))) {
+            name = m[1];
+            lname = name.toLowerCase();
+
+            // Close any elements implicitly ended by this one
+            while (ctx.html && stack.length && canOmitEnd(ctx)) {
+                if ((impliedEnd[lname] && impliedEnd[lname].test(ctx.name)) ||
+                    (ctx.name === 'p' && closesParagraph.test(lname))) {
+                    close();
+                } else {
+                    break;
+                }
+            }
+
+            attrs = attributes(pos + m[0].length);
+            if (!attrs) break;
+
+            itm = element(name, attrs.list, pos);
+            if (!itm) {
+                pos = attrs.end;
+                continue;
+            }
+            node = itm.node;
+
+            if (attrs.selfClosed || (itm.html && voidElements.test(lname))) {
+                ctx.node.appendChild(node);
+                pos = attrs.end;
+            } else if (itm.html && (rawElements.test(lname) || rcdataElements.test(lname))) {
+                idx = html.substr(attrs.end).search(new RegExp('</' + lname + '\\s*>', 'i'));
+                if (idx < 0) {
+                    warn('Unclosed element <' + lname + '>', pos);
+                    raw = html.substr(attrs.end);
+                    pos = len;
+                } else {
+                    raw = html.substr(attrs.end, idx);
+                    pos = html.indexOf('>', attrs.end + idx) + 1;
+                }
+                if (raw.length) {
+                    node.appendChild( doc.createTextNode(rawElements.test(lname) ? raw : decodeEntities(raw)) );
+                }
+                ctx.node.appendChild(node);
+            } else {
+                ctx.node.appendChild(node);
+                stack.push(itm);
+                ctx = itm;
+                pos = attrs.end;
+            }
+
+        // A lone `<` is just text
+        } else {
+            addText('<', pos);
+            pos++;
+        }
+    }
+
+    // Close the elements left open
+    while (stack.length) {
+        if (!canOmitEnd(ctx)) {
+            warn('Unclosed element <' + ctx.name + '>', ctx.pos);
+        }
+        close();
+    }
+
+    return fragment;
+}
+
+// parseText
+// ---------
+//  Parses a plain text template into a list of blocks. The text is interpolated like
+//  in the markup templates while the directives, `{% name args %}`, follow the rules 
+//  of the processor with the same name. The `condition` and `repeat` ones enclose 
+//  a block of text ended by `{% end %}`.
+//
+//      Hello ${user.name},
+//      {% repeat item order.items %}
+//        - ${item.title}: ${item.price}
+//      {% end %}
+//
+//  Lines with just a directive are removed from the output. The white space before
+//  or after a directive, including new lines, is trimmed by adding a dash to its 
+//  delimiter like in `{%- end -%}`.
+//
+function parseText(src) {
+    var m, kw, text, end, blank,
+        rex = /\{%(-?)\s*([\s\S]*?)\s*(-?)%\}/g,
+        eol = /[ \t]*(\r?\n|$)/g,
+        spaces = /\s*/g,
+        root = {body: []},
+        stack = [root],
+        ctx = root,
+        last = 0;
+
+    function fail(msg, ofs) {
+        var lines = src.substring(0, ofs).split('\n'),
+            line = lines.length,
+            column = lines[line-1].length + 1,
+            err = new Error(msg + ' at line ' + line + ', column ' + column);
+        err.line = line;
+        err.column = column;
+        throw err;
+    }
+
+    function parse(fn, args, ofs) {
+        try {
+            return fn(args);
+        } catch (e) {
+            fail(e.message, ofs);
+        }
+    }
+
+    while ((m = rex.exec(src))) {
+        text = src.substring(last, m.index);
+        end = rex.lastIndex;
+
+        // Remove the whole line if there is nothing else in it
+        blank = /(^|\n)[ \t]*$/.exec(text);
+        if (!m[1] && !m[3] && blank && (blank[1] || last === 0 || src.charAt(last-1) === '\n')) {
+            eol.lastIndex = end;
+            if ((kw = eol.exec(src)) && kw.index === end) {
+                text = text.substring(0, blank.index + blank[1].length);
+                end += kw[0].length;
+            }
+        }
+
+        // Explicit white space control
+        if (m[1]) {
+            text = text.replace(/\s+$/, '');
+        }
+        if (m[3]) {
+            spaces.lastIndex = end;
+            end += spaces.exec(src)[0].length;
+        }
+
+        if (text.length) {
+            ctx.body.push({type: 'text', parts: parse(parseInterpolation, text, last)});
+        }
+        last = rex.lastIndex = end;
+
+        kw = /^(\w*)\s*([\s\S]*)$/.exec(m[2]);
+        if (kw[1] === 'end') {
+            if (stack.length < 2) {
+                fail('Unexpected {% end %}', m.index);
+            }
+            stack.pop();
+            ctx = stack[stack.length-1];
+        } else if (kw[1] === 'define') {
+            ctx.body.push({type: 'define', exp: parse(parseDefine, kw[2], m.index)});
+        } else if (kw[1] === 'elif' || kw[1] === 'else') {
+            if (!/^(condition|repeat|elif)$/.test(ctx.type)) {
+                fail('Unexpected {% ' + kw[1] + ' %}', m.index);
+            }
+            // The branch replaces the open block so a single end closes all of them
+            ctx = ctx.otherwise = {
+                type: kw[1],
+                exp: kw[1] === 'elif' ? parse(parseTales, kw[2], m.index) : null,
+                body: [],
+                pos: ctx.pos
+            };
+            stack[stack.length-1] = ctx;
+        } else if (kw[1] === 'condition' || kw[1] === 'repeat') {
+            ctx = {
+                type: kw[1], 
+                exp: parse(kw[1] === 'repeat' ? parseRepeat : parseTales, kw[2], m.index), 
+                body: [], 
+                pos: m.index
+            };
+            stack[stack.length-1].body.push(ctx);
+            stack.push(ctx);
+        } else {
+            fail('Unknown directive "' + kw[1] + '"', m.index);
+        }
+    }
+
+    if (src.indexOf('{%', last) !== -1) {
+        fail('Unterminated directive', src.indexOf('{%', last));
+    }
+
+    if (last < src.length) {
+        ctx.body.push({type: 'text', parts: parse(parseInterpolation, src.substring(last), last)});
+    }
+
+    if (stack.length > 1) {
+        fail('Unclosed {% ' + ctx.type + ' %}', ctx.pos);
+    }
+
+    return root.body;
+}
+
+// renderText
+// ----------
+//  Renders the blocks of a plain text template into the _out_ list
+//
+function renderText(dt, blocks, out) {
+    var i, block, count,
+        body = function(){
+            dt.stack.push({});
+            renderText(dt, block.body, out);
+            dt.stack.pop();
+        };
+
+    for (i=0; i<blocks.length; i++) {
+        block = blocks[i];
+        if (block.type === 'text') {
+            out.push( dt.interpolate(block.parts) );
+        } else if (block.type === 'define') {
+            dt.define(block.exp);
+        } else if (block.type === 'condition' || block.type === 'elif' || block.type === 'else') {
+            // Look for the first branch matching
+            while (block && block.type !== 'else' && !dt.test(block.exp)) {
+                block = block.otherwise;
+            }
+            if (block) {
+                body();
+            }
+        } else if (block.type === 'repeat') {
+            dt.stack.push({});
+            count = dt.iterate(block.exp.item, dt.tales(block.exp.tales), block.exp, body);
+            dt.stack.pop();
+
+            // Without items the branches after it are checked like with a condition
+            if (!count && block.otherwise) {
+                renderText(dt, [block.otherwise], out);
+            }
+        }
+    }
+
+    return out;
+}
+
+// escapeHtml
+// ----------
+//  Escapes the special html chars in the given text. When the second argument is
+//  true double quotes are also escaped so it can be used for attribute values.
+//
+function escapeHtml(txt, attr) {
+    txt = String(txt).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return attr ? txt.replace(/"/g, '&quot;') : txt;
+}
+
+// serialize
+// ---------
+//  Converts a DOM node (usually a document fragment with the result of a template) to
+//  its markup. The following options are supported:
+//
+//    - format: either _html_ (default) or _xhtml_. In xhtml mode void elements are 
+//      self closed and boolean attributes get their name as value.
+//    - pretty: if true the elements are indented when it doesn't change the meaning 
+//      of the contents, that is for block elements without text. By default false.
+//    - indent: the string used to indent each level in pretty mode. By default two spaces.
+//    - markers: if true the `DOMTAL:` marker comments are kept. By default false.
+//
+//      html = serialize( tpl.run(), {format: 'xhtml'} );
+//
+function serialize(node, options) {
+    var opts, out = [];
+
+    options = options || {};
+    if (options.format && options.format !== 'html' && options.format !== 'xhtml') {
+        throw new Error('Unknown serialization format "' + options.format + '"');
+    }
+
+    opts = {
+        xhtml: options.format === 'xhtml',
+        pretty: !!options.pretty,
+        indent: typeof options.indent === 'string' ? options.indent : '  ',
+        markers: !!options.markers
+    };
+
+    if (node.nodeType === 9 || node.nodeType === 11) {
+        serializeChildren(node, opts, 0, opts.pretty, out);
+    } else {
+        serializeNode(node, opts, 0, opts.pretty, out);
+    }
+
+    return out.join('');
+}
+
+function isHtml(node) {
+    return node.namespaceURI === DomTal.NS.XHTML;
+}
+
+function nodeName(node) {
+    // Names for elements in the html namespace are reported in uppercase
+    return isHtml(node) ? node.nodeName.toLowerCase() : node.nodeName;
+}
+
+function isMarker(node) {
+    return node.nodeType === 8 && node.nodeValue.indexOf('DOMTAL:') === 0;
+}
+
+function isBlank(node) {
+    return node.nodeType === 3 && !/\S/.test(node.nodeValue);
+}
+
+// Checks if the white space around an element is not significant
+function isBlock(node) {
+    return node.nodeType !== 1 || !isHtml(node) || blockElements.test(nodeName(node));
+}
+
+function serializeChildren(node, opts, depth, pretty, out) {
+    var child, block = false, first = true, pad;
+
+    // We only indent the children if it doesn't alter significant white space, 
+    // which is the case for blocks when there are no text nodes with contents nor 
+    // inline elements.
+    if (pretty && isBlock(node)) {
+        for (child = node.firstChild; child; child = child.nextSibling) {
+            if (child.nodeType === 3 || child.nodeType === 4) {
+                if (!isBlank(child)) {
+                    block = false;
+                    break;
+                }
+            } else if (!isBlock(child)) {
+                block = false;
+                break;
+            } else if (!isMarker(child) || opts.markers) {
+                block = true;
+            }
+        }
+    }
+
+    pad = new Array(depth + 1).join(opts.indent);
+    for (child = node.firstChild; child; child = child.nextSibling) {
+        if ((block && isBlank(child)) || (!opts.markers && isMarker(child))) {
+            continue;
+        }
+        if (block) {
+            if (!first || node.nodeType === 1) {
+                out.push('\n', pad);
+            }
+            first = false;
+        }
+        serializeNode(child, opts, depth, block, out);
+    }
+
+    return block;
+}
+
+function serializeNode(node, opts, depth, pretty, out) {
+    var i, name, attr, attrName, block, html, text;
+
+    switch (node.nodeType) {
+    case 1:
+        name = nodeName(node);
+        html = isHtml(node);
+        out.push('<', name);
+
+        // Foreign elements need to declare their namespace in xhtml
+        if (opts.xhtml && !html && node.namespaceURI && !node.prefix && !node.hasAttribute('xmlns') && 
+            (!node.parentNode || node.parentNode.nodeType !== 1 || node.parentNode.namespaceURI !== node.namespaceURI)) {
+            out.push(' xmlns="', escapeHtml(node.namespaceURI, true), '"');
+        }
+        for (i=0; i<node.attributes.length; i++) {
+            attr = node.attributes[i];
+            attrName = attr.name;
+            if (html && booleanAttrs.test(attrName)) {
+                out.push(' ', attrName);
+                if (opts.xhtml) {
+                    out.push('="', attrName, '"');
+                }
+            } else {
+                out.push(' ', attrName, '="', escapeHtml(attr.value, true), '"');
+            }
+        }
+
+        if (html && voidElements.test(name)) {
+            out.push(opts.xhtml ? ' />' : '>');
+            break;
+        }
+        // Foreign elements (ie: svg) can be self closed when empty
+        if (!html && !node.firstChild) {
+            out.push(' />');
+            break;
+        }
+        out.push('>');
+
+        // A leading new line in these elements is ignored by the parsers
+        if (html && preElements.test(name) && node.firstChild && 
+            node.firstChild.nodeType === 3 && node.firstChild.nodeValue.charAt(0) === '\n') {
+            out.push('\n');
+        }
+
+        // There are no raw text elements in xhtml, while in html their contents can't
+        // have the closing tag (ie: interpolated in a script)
+        if (html && rawElements.test(name)) {
+            for (i=0; i<node.childNodes.length; i++) {
+                text = node.childNodes[i].nodeValue || '';
+                out.push(opts.xhtml ? escapeHtml(text) : text.replace(new RegExp('</(' + name + ')', 'gi'), '<\\/$1'));
+            }
+        } else {
+            block = serializeChildren(node, opts, depth + 1, pretty && !preElements.test(name), out);
+            if (block) {
+                out.push('\n', new Array(depth + 1).join(opts.indent));
+            }
+        }
+
+        out.push('</', name, '>');
+        break;
+    case 3:
+        out.push(escapeHtml(node.nodeValue));
+        break;
+    case 4:
+        out.push(opts.xhtml ? '<![CDATA[' + node.nodeValue + ']]>' : escapeHtml(node.nodeValue));
+        break;
+    case 7:
+        out.push('<?', node.target, ' ', node.data, opts.xhtml ? '?>' : '>');
+        break;
+    case 8:
+        if (opts.markers || !isMarker(node)) {
+            out.push('<!--', node.nodeValue, '-->');
+        }
+        break;
+    case 10:
+        out.push('<!DOCTYPE ', node.name);
+        if (node.publicId) {
+            out.push(' PUBLIC "', node.publicId, '"');
+            if (node.systemId) out.push(' "', node.systemId, '"');
+        } else if (node.systemId) {
+            out.push(' SYSTEM "', node.systemId, '"');
+        }
+        out.push('>');
+        break;
+    case 9: case 11:
+        serializeChildren(node, opts, depth, pretty, out);
+        break;
+    }
+}
+
+
+// DomTal.VirtualDocument
+// ======================
+//  A lightweight in-memory implementation of the subset of the DOM used by DomTal. 
+//  It allows to run the templates when there is no real DOM available (ie: NodeJS) or
+//  when the result is just going to be serialized, since building these nodes is much
+//  cheaper than building real ones.
+//
+//      tpl = new DomTal('<p>${foo}</p>', null, {backend: 'string'});
+//      html = tpl.renderToString({foo: 'Foo'});
+//
+//  The processors run against it exactly like they do against a browser DOM, so 
+//  custom processors keep working as long as they stick to the common DOM methods.
+//  There is no page though, so the templates can't be referenced by an element Id
+//  (ie: `#my-template`), they must be registered by name in `DomTal.templates`.
+//
+function VirtualDocument() {
+    VirtualNode.call(this, null, 9, '#document', null);
+}
+
+VirtualDocument.prototype = Object.create(VirtualNode.prototype);
+VirtualDocument.prototype.constructor = VirtualDocument;
+
+VirtualDocument.prototype.createElement = function(name) {
+    return new VirtualElement(this, DomTal.NS.XHTML, name);
+};
+
+VirtualDocument.prototype.createElementNS = function(ns, name) {
+    return new VirtualElement(this, ns, name);
+};
+
+VirtualDocument.prototype.createTextNode = function(text) {
+    return new VirtualNode(this, 3, '#text', String(text));
+};
+
+VirtualDocument.prototype.createComment = function(text) {
+    return new VirtualNode(this, 8, '#comment', String(text));
+};
+
+VirtualDocument.prototype.createDocumentFragment = function() {
+    return new VirtualNode(this, 11, '#document-fragment', null);
+};
+
+// Templates are never attached to the virtual document so there is nothing to find
+VirtualDocument.prototype.getElementById = function(id) {
+    throw new Error('Unable to find the element "#' + id + '", the string backend has no ' +
+                    'page to look it up, register the template by name instead');
+};
+
+
+// VirtualNode
+// -----------
+//  Base class for the virtual nodes. The child nodes are kept in the `childNodes`
+//  array while the sibling references are updated on every mutation.
+//
+function VirtualNode(doc, type, name, value) {
+    this.ownerDocument = doc;
+    this.nodeType = type;
+    this.nodeName = name;
+    this.nodeValue = value;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.firstChild = this.lastChild = null;
+    this.previousSibling = this.nextSibling = null;
+}
+
+VirtualNode.prototype.hasChildNodes = function() {
+    return this.childNodes.length > 0;
+};
+
+// Updates the sibling references of the child at the given index and its neighbours
+VirtualNode.prototype._link = function(idx) {
+    var nodes = this.childNodes, node = nodes[idx];
+
+    node.parentNode = this;
+    node.previousSibling = nodes[idx-1] || null;
+    node.nextSibling = nodes[idx+1] || null;
+    if (node.previousSibling) node.previousSibling.nextSibling = node;
+    if (node.nextSibling) node.nextSibling.previousSibling = node;
+
+    this.firstChild = nodes[0];
+    this.lastChild = nodes[nodes.length-1];
+};
+
+VirtualNode.prototype.insertBefore = function(node, ref) {
+    var idx, nodes, parent, error;
+
+    // Fragments insert their children instead of themselves
+    if (node.nodeType === 11) {
+        nodes = node.childNodes.slice(0);
+        for (idx=0; idx<nodes.length; idx++) {
+            this.insertBefore(nodes[idx], ref);
+        }
+        return node;
+    }
+
+    // Like the DOM, a node can't be inserted into itself or its descendants
+    for (parent = this; parent; parent = parent.parentNode) {
+        if (parent === node) {
+            error = new Error('The node to insert contains the node it would be inserted into');
+            error.name = 'HierarchyRequestError';
+            error.code = 3;
+            throw error;
+        }
+    }
+
+    if (node.parentNode) {
+        node.parentNode.removeChild(node);
+    }
+
+    idx = ref ? this.childNodes.indexOf(ref) : this.childNodes.length;
+    if (idx < 0) {
+        throw new Error('The reference node is not a child of this node');
+    }
+
+    this.childNodes.splice(idx, 0, node);
+    this._link(idx);
+
+    return node;
+};
+
+VirtualNode.prototype.appendChild = function(node) {
+    return this.insertBefore(node, null);
+};
+
+VirtualNode.prototype.removeChild = function(node) {
+    var idx = this.childNodes.indexOf(node);
+    if (idx < 0) {
+        throw new Error('The node to remove is not a child of this node');
+    }
+
+    this.childNodes.splice(idx, 1);
+    if (node.previousSibling) node.previousSibling.nextSibling = node.nextSibling;
+    if (node.nextSibling) node.nextSibling.previousSibling = node.previousSibling;
+    this.firstChild = this.childNodes[0] || null;
+    this.lastChild = this.childNodes[this.childNodes.length-1] || null;
+
+    node.parentNode = node.previousSibling = node.nextSibling = null;
+    return node;
+};
+
+VirtualNode.prototype.replaceChild = function(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+};
+
+VirtualNode.prototype.cloneNode = function(deep) {
+    var i, copy = this._copy();
+    if (deep) {
+        for (i=0; i<this.childNodes.length; i++) {
+            copy.appendChild( this.childNodes[i].cloneNode(true) );
+        }
+    }
+    return copy;
+};
+
+VirtualNode.prototype._copy = function() {
+    return new VirtualNode(this.ownerDocument, this.nodeType, this.nodeName, this.nodeValue);
+};
+
+VirtualNode.prototype.lookupNamespaceURI = function(prefix) {
+    return this.parentNode ? this.parentNode.lookupNamespaceURI(prefix) : null;
+};
+
+Object.defineProperty(VirtualNode.prototype, 'textContent', {
+    get: function() {
+        var i, out = [];
+        if (this.nodeType === 3 || this.nodeType === 8) {
+            return this.nodeValue;
+        }
+        for (i=0; i<this.childNodes.length; i++) {
+            if (this.childNodes[i].nodeType !== 8) {
+                out.push(this.childNodes[i].textContent);
+            }
+        }
+        return out.join('');
+    },
+    set: function(value) {
+        if (this.nodeType === 3 || this.nodeType === 8) {
+            this.nodeValue = String(value);
+            return;
+        }
+        while (this.firstChild) {
+            this.removeChild(this.firstChild);
+        }
+        value = value === null || value === undefined ? '' : String(value);
+        if (value.length) {
+            this.appendChild( new VirtualNode(this.ownerDocument, 3, '#text', value) );
+        }
+    }
+});
+
+Object.defineProperty(VirtualNode.prototype, 'innerHTML', {
+    get: function() {
+        var i, out = [];
+        for (i=0; i<this.childNodes.length; i++) {
+            out.push( serialize(this.childNodes[i]) );
+        }
+        return out.join('');
+    },
+    set: function(html) {
+        while (this.firstChild) {
+            this.removeChild(this.firstChild);
+        }
+        this.appendChild( stringToDom(String(html), this.ownerDocument) );
+    }
+});
+
+
+// VirtualElement
+// --------------
+//  Element nodes with their attributes. Like in html documents, the names of the
+//  html elements and their attributes are case insensitive.
+//
+function VirtualElement(doc, ns, name) {
+    var idx = name.indexOf(':');
+
+    VirtualNode.call(this, doc, 1, name, null);
+
+    this.namespaceURI = ns || null;
+    this.prefix = idx > 0 ? name.substring(0, idx) : null;
+    this.localName = idx > 0 ? name.substring(idx + 1) : name;
+    this.attributes = [];
+    this.style = new VirtualStyle(this);
+
+    if (this.namespaceURI === DomTal.NS.XHTML) {
+        this.localName = this.localName.toLowerCase();
+        this.nodeName = name.toUpperCase();
+    }
+    this.tagName = this.nodeName;
+}
+
+VirtualElement.prototype = Object.create(VirtualNode.prototype);
+VirtualElement.prototype.constructor = VirtualElement;
+
+VirtualElement.prototype._copy = function() {
+    var i, attr, copy = new VirtualElement(this.ownerDocument, this.namespaceURI, 
+                                           this.prefix ? this.prefix + ':' + this.localName : this.localName);
+    for (i=0; i<this.attributes.length; i++) {
+        attr = this.attributes[i];
+        copy.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+    }
+    return copy;
+};
+
+VirtualElement.prototype._name = function(name) {
+    return this.namespaceURI === DomTal.NS.XHTML ? String(name).toLowerCase() : String(name);
+};
+
+VirtualElement.prototype.getAttributeNode = function(name) {
+    var i, attrs = this.attributes;
+    name = this._name(name);
+    for (i=0; i<attrs.length; i++) {
+        if (attrs[i].name === name) return attrs[i];
+    }
+    return null;
+};
+
+VirtualElement.prototype.getAttributeNodeNS = function(ns, name) {
+    var i, attrs = this.attributes;
+    ns = ns || null;
+    for (i=0; i<attrs.length; i++) {
+        if (attrs[i].namespaceURI === ns && attrs[i].localName === name) return attrs[i];
+    }
+    return null;
+};
+
+VirtualElement.prototype.getAttribute = function(name) {
+    var attr = this.getAttributeNode(name);
+    return attr ? attr.value : null;
+};
+
+VirtualElement.prototype.getAttributeNS = function(ns, name) {
+    var attr = this.getAttributeNodeNS(ns, name);
+    return attr ? attr.value : null;
+};
+
+VirtualElement.prototype.hasAttribute = function(name) {
+    return this.getAttributeNode(name) !== null;
+};
+
+VirtualElement.prototype.setAttribute = function(name, value) {
+    var attr = this.getAttributeNode(name);
+    if (attr) {
+        attr.value = String(value);
+    } else {
+        this.attributes.push( new VirtualAttr(this, null, this._name(name), value) );
+    }
+};
+
+VirtualElement.prototype.setAttributeNS = function(ns, name, value) {
+    var idx = name.indexOf(':'),
+        attr = this.getAttributeNodeNS(ns, idx > 0 ? name.substring(idx + 1) : name);
+    if (attr) {
+        attr.value = String(value);
+    } else {
+        this.attributes.push( new VirtualAttr(this, ns, ns ? name : this._name(name), value) );
+    }
+};
+
+VirtualElement.prototype.removeAttributeNode = function(attr) {
+    var idx = this.attributes.indexOf(attr);
+    if (idx < 0) {
+        throw new Error('The attribute does not belong to this element');
+    }
+    this.attributes.splice(idx, 1);
+    attr.ownerElement = null;
+    return attr;
+};
+
+VirtualElement.prototype.removeAttribute = function(name) {
+    var attr = this.getAttributeNode(name);
+    if (attr) this.removeAttributeNode(attr);
+};
+
+VirtualElement.prototype.removeAttributeNS = function(ns, name) {
+    var attr = this.getAttributeNodeNS(ns, name);
+    if (attr) this.removeAttributeNode(attr);
+};
+
+VirtualElement.prototype.lookupNamespaceURI = function(prefix) {
+    var attr;
+    if (this.prefix === prefix && this.namespaceURI) {
+        return this.namespaceURI;
+    }
+    attr = prefix ? this.getAttributeNodeNS(DomTal.NS.XMLNS, prefix) : this.getAttributeNode('xmlns');
+    if (attr) {
+        return attr.value || null;
+    }
+    return VirtualNode.prototype.lookupNamespaceURI.call(this, prefix);
+};
+
+
+// VirtualAttr
+// -----------
+//  An attribute of a virtual element
+//
+function VirtualAttr(owner, ns, name, value) {
+    var idx = name.indexOf(':');
+
+    this.nodeType = 2;
+    this.ownerElement = owner;
+    this.namespaceURI = ns || null;
+    this.name = this.nodeName = name;
+    this.prefix = ns && idx > 0 ? name.substring(0, idx) : null;
+    this.localName = ns && idx > 0 ? name.substring(idx + 1) : name;
+    this.value = String(value);
+}
+
+
+// VirtualStyle
+// ------------
+//  Minimal implementation of the style declaration for the virtual elements. The
+//  properties are kept in the `style` attribute of the element.
+//
+function VirtualStyle(owner) {
+    this._owner = owner;
+}
+
+// Splits the declarations of a style on the semicolons which are not inside
+// parentheses or quotes, ie: `background: url(data:image/png;base64,...)`
+function splitDeclarations(css) {
+    var i, chr,
+        quote = null,
+        depth = 0,
+        start = 0,
+        decls = [];
+
+    for (i=0; i<css.length; i++) {
+        chr = css.charAt(i);
+        if (chr === '\\') {
+            i++;
+        } else if (quote) {
+            if (chr === quote) quote = null;
+        } else if (chr === '"' || chr === "'") {
+            quote = chr;
+        } else if (chr === '(') {
+            depth++;
+        } else if (chr === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (chr === ';' && depth === 0) {
+            decls.push(css.substring(start, i));
+            start = i + 1;
+        }
+    }
+    decls.push(css.substring(start));
+
+    return decls;
+}
+
+// Obtains the declared properties as a list of [name, value] pairs
+VirtualStyle.prototype._parse = function() {
+    var i, idx, decls, props = [],
+        css = this._owner.getAttribute('style') || '';
+
+    decls = splitDeclarations(css);
+    for (i=0; i<decls.length; i++) {
+        idx = decls[i].indexOf(':');
+        if (idx > 0) {
+            props.push([ decls[i].substring(0, idx).replace(/^\s+|\s+$/g, '').toLowerCase(), 
+                         decls[i].substring(idx + 1).replace(/^\s+|\s+$/g, '') ]);
+        }
+    }
+    return props;
+};
+
+VirtualStyle.prototype._update = function(props) {
+    var i, css = [];
+    for (i=0; i<props.length; i++) {
+        css.push(props[i][0] + ': ' + props[i][1] + ';');
+    }
+    if (css.length) {
+        this._owner.setAttribute('style', css.join(' '));
+    } else {
+        this._owner.removeAttribute('style');
+    }
+};
+
+VirtualStyle.prototype.getPropertyValue = function(name) {
+    var i, props = this._parse();
+    for (i=0; i<props.length; i++) {
+        if (props[i][0] === name) return props[i][1];
+    }
+    return '';
+};
+
+VirtualStyle.prototype.setProperty = function(name, value) {
+    var i, props = this._parse();
+
+    if (value === null || value === undefined || value === '') {
+        return this.removeProperty(name);
+    }
+
+    for (i=0; i<props.length; i++) {
+        if (props[i][0] === name) break;
+    }
+    props[i] = [name, String(value)];
+    this._update(props);
+};
+
+VirtualStyle.prototype.removeProperty = function(name) {
+    var i, value = '', props = this._parse();
+    for (i=0; i<props.length; i++) {
+        if (props[i][0] === name) {
+            value = props[i][1];
+            props.splice(i, 1);
+            break;
+        }
+    }
+    this._update(props);
+    return value;
+};
+
+
+// operations
+// ----------
+//  Converts a DOM structure into a list of operations to build it again. The list
+//  only contains arrays, strings and numbers so it can be serialized, for instance to 
+//  post it from a worker. The first item of each operation is its code:
+//
+//      [1, name, namespace, [name, value, namespace, ...]]   open an element
+//      [0]                                                     close the element
+//      [3, text]                                               add a text node
+//      [8, text]                                               add a comment
+//
+function operations(node, ops) {
+    var i, attr, attrs;
+
+    ops = ops || [];
+
+    if (node.nodeType === 1) {
+        attrs = [];
+        for (i=0; i<node.attributes.length; i++) {
+            attr = node.attributes[i];
+            attrs.push(attr.name, attr.value, attr.namespaceURI || null);
+        }
+        ops.push([1, nodeName(node), node.namespaceURI || null, attrs]);
+    } else if (node.nodeType === 3 || node.nodeType === 4) {
+        ops.push([3, node.nodeValue]);
+        return ops;
+    } else if (node.nodeType === 8) {
+        ops.push([8, node.nodeValue]);
+        return ops;
+    } else if (node.nodeType !== 11 && node.nodeType !== 9) {
+        return ops;
+    }
+
+    for (i=0; i<node.childNodes.length; i++) {
+        operations(node.childNodes[i], ops);
+    }
+
+    if (node.nodeType === 1) {
+        ops.push([0]);
+    }
+
+    return ops;
+}
+
+// applyOperations
+// ---------------
+//  Builds a document fragment with the given document from a list of operations 
+//  generated by `operations`. The marker comments get back their properties.
+//
+function applyOperations(ops, doc) {
+    var i, j, op, node, attrs, m,
+        fragment = doc.createDocumentFragment(),
+        parent = fragment;
+
+    for (i=0; i<ops.length; i++) {
+        op = ops[i];
+        if (op[0] === 1) {
+            node = doc.createElementNS(op[2], op[1]);
+            attrs = op[3];
+            for (j=0; j<attrs.length; j+=3) {
+                if (attrs[j+2]) {
+                    node.setAttributeNS(attrs[j+2], attrs[j], attrs[j+1]);
+                } else {
+                    node.setAttribute(attrs[j], attrs[j+1]);
+                }
+            }
+            parent.appendChild(node);
+            parent = node;
+        } else if (op[0] === 0) {
+            parent = parent.parentNode;
+        } else if (op[0] === 3) {
+            parent.appendChild( doc.createTextNode(op[1]) );
+        } else if (op[0] === 8) {
+            node = doc.createComment(op[1]);
+            if ((m = /^DOMTAL:(BEGIN|END|MARK) id=(\d+) processor=(\S+)$/.exec(op[1]))) {
+                node.type = m[1].toLowerCase();
+                node.ident = parseInt(m[2], 10);
+                node.processor = m[3];
+            }
+            parent.appendChild(node);
+        } else {
+            throw new Error('Unknown operation "' + op[0] + '"');
+        }
+    }
+
+    return fragment;
+}
+
+
+// DomTal.WorkerRenderer
+// =====================
+//  Renders the templates in a Web Worker, or a NodeJS worker thread, running the 
+//  `DomTal.worker.js` script. The worker evaluates the templates against a virtual 
+//  document and posts back the result as a list of operations (see `operations`), 
+//  which are applied here to build a document fragment. This way the main thread
+//  stays responsive while rendering large templates.
+//
+//      var renderer = new DomTal.WorkerRenderer(new Worker('lib/DomTal.worker.js'));
+//      renderer.render(tpl, {rows: rows}, function(err, fragment){
+//          table.appendChild(fragment);
+//      });
+//
+//  The templates must be given as strings and the data must be cloneable, so it 
+//  can't contain functions or DOM nodes. If the worker fails, for instance when
+//  its script can't be loaded, or it's terminated, the pending renders are called
+//  back with an error.
+//
+function WorkerRenderer(worker, doc) {
+    var self = this;
+
+    this.worker = worker;
+    this.document = doc || DomTal.document || 
+                    (typeof document !== 'undefined' ? document : virtualDocument());
+    this.pending = {};
+    this.lastId = 0;
+
+    // NodeJS workers give the message directly while the browser ones use an event
+    if (typeof worker.on === 'function') {
+        worker.on('message', function(msg){ self.receive(msg); });
+        worker.on('error', function(err){ self.fail(err); });
+        worker.on('messageerror', function(err){ self.fail(err); });
+        worker.on('exit', function(code){
+            self.worker = null;
+            self.fail(new Error('The worker stopped with exit code ' + code));
+        });
+    } else {
+        worker.addEventListener('message', function(e){ self.receive(e.data); });
+        worker.addEventListener('error', function(e){
+            self.fail(new Error('The worker failed' + (e && e.message ? ': ' + e.message : '')));
+        });
+        worker.addEventListener('messageerror', function(){
+            self.fail(new Error('Unable to read a message from the worker'));
+        });
+    }
+}
+
+// Sends a template to be rendered. The options are the ones for the `DomTal` 
+// constructor (ie: ns or xml) and the callback receives an error, if any, and the
+// resulting document fragment.
+WorkerRenderer.prototype.render = function(tpl, data, opts, callback) {
+    var id = ++this.lastId;
+
+    if (typeof opts === 'function') {
+        callback = opts;
+        opts = {};
+    }
+
+    if (!this.worker) {
+        callback(new Error('The worker was terminated'));
+        return;
+    }
+
+    this.pending[id] = callback;
+    this.worker.postMessage({id: id, template: tpl, data: data || {}, options: opts || {}});
+};
+
+// Handles the replies from the worker
+WorkerRenderer.prototype.receive = function(msg) {
+    var callback = this.pending[msg.id];
+    if (!callback) {
+        return;
+    }
+
+    delete this.pending[msg.id];
+    if (msg.error) {
+        callback(new Error(msg.error));
+    } else {
+        callback(null, applyOperations(msg.operations, this.document));
+    }
+};
+
+// Calls back the pending renders with an error
+WorkerRenderer.prototype.fail = function(err) {
+    var id, pending = this.pending;
+
+    this.pending = {};
+    for (id in pending) if (pending.hasOwnProperty(id)) {
+        pending[id](err);
+    }
+};
+
+// Stops the worker, the pending renders are called back with an error
+WorkerRenderer.prototype.terminate = function() {
+    var worker = this.worker;
+
+    this.worker = null;
+    if (worker) {
+        worker.terminate();
+    }
+    this.fail(new Error('The worker was terminated'));
+};
+
+
+// DomTal.templates
+// ================
+//  Registry of named templates, used by the `template` processor and the `tpl` 
+//  modifier to include them by name. Sources given as strings, nodes or fragments 
+//  are parsed once per document and options, compiled functions are just run.
+//
+function TemplateRegistry() {
+    this.clear();
+    this.load = null;
+}
+
+// Removes all the registered templates
+TemplateRegistry.prototype.clear = function() {
+    this.entries = {};
+    this.loading = {};
+    this.macros = {};
+};
+
+// Registers a template under the given name
+TemplateRegistry.prototype.register = function(name, source) {
+    this.entries[name] = {source: source, parsed: []};
+    return this;
+};
+
+// Sets the function used to load the templates not registered
+TemplateRegistry.prototype.loader = function(fn) {
+    this.load = fn;
+    return this;
+};
+
+// Checks if a template is registered
+TemplateRegistry.prototype.has = function(name) {
+    return this.entries.hasOwnProperty(name);
+};
+
+// Requests a template to the loader, registering it once it's available
+TemplateRegistry.prototype.fetch = function(name, callback) {
+    var self = this;
+
+    if (!this.load) {
+        callback(new Error('Template "' + name + '" is not registered and there is no loader'));
+        return;
+    }
+
+    // Avoid requesting again a template already being loaded
+    if (this.loading[name]) {
+        this.loading[name].push(callback);
+        return;
+    }
+    this.loading[name] = [callback];
+
+    this.load(name, function(err, source){
+        var i, callbacks = self.loading[name];
+
+        delete self.loading[name];
+        if (!err && (source === null || typeof source === 'undefined')) {
+            err = new Error('Template "' + name + '" not found');
+        }
+        if (!err) {
+            self.register(name, source);
+        }
+
+        for (i=0; i<callbacks.length; i++) {
+            callbacks[i](err || null);
+        }
+    });
+};
+
+// Loads the given templates if they aren't registered yet, calling back once they
+// are all available or with the first error found.
+TemplateRegistry.prototype.preload = function(names, callback) {
+    var i, 
+        error = null, 
+        pending = 1;
+
+    function done(err) {
+        error = error || err || null;
+        if (--pending === 0 && callback) {
+            callback(error);
+        }
+    }
+
+    if (typeof names === 'string') {
+        names = [names];
+    }
+
+    for (i=0; i<names.length; i++) {
+        if (!this.has(names[i])) {
+            pending++;
+            this.fetch(names[i], done);
+        }
+    }
+
+    done();
+};
+
+// Obtains the entry for a template, which can be loaded now only if the loader is 
+// synchronous.
+TemplateRegistry.prototype.resolve = function(name) {
+    var result;
+
+    if (!this.has(name)) {
+        this.fetch(name, function(err){
+            result = err || true;
+        });
+
+        if (typeof result === 'undefined') {
+            throw new Error('Template "' + name + '" is still loading, use DomTal.templates.preload');
+        } else if (result !== true) {
+            throw result;
+        }
+    }
+
+    return this.entries[name];
+};
+
+// Obtains the source of a template, which is a function for the compiled ones
+TemplateRegistry.prototype.source = function(name) {
+    var source = this.resolve(name).source;
+
+    // Render functions from `DomTal.compile` keep their instance
+    if (typeof source === 'function' && source.template instanceof DomTal) {
+        source = source.template;
+    }
+    if (source instanceof DomTal) {
+        source = source.compiled || source.tpl;
+    }
+
+    return source;
+};
+
+// Obtains the parsed fragment of a template for the given `DomTal` instance. It's only
+// parsed once for each document and options, registering the macros it defines.
+TemplateRegistry.prototype.parse = function(name, dt) {
+    var i, key, fragment,
+        entry = this.resolve(name),
+        source = this.source(name),
+        opts = parserOptions(dt);
+
+    if (typeof source === 'function') {
+        throw new Error('Template "' + name + '" is compiled and can not be parsed');
+    }
+
+    // Look for an already parsed version of the template
+    key = JSON.stringify(opts);
+    for (i=0; i<entry.parsed.length; i++) {
+        if (entry.parsed[i].document === dt.document && entry.parsed[i].key === key) {
+            fragment = entry.parsed[i].fragment;
+            break;
+        }
+    }
+
+    if (!fragment) {
+        fragment = load(source, dt.document, opts);
+        if (!fragment) {
+            throw new Error('Unable to parse template "' + name + '"');
+        }
+        entry.parsed.push({document: dt.document, key: key, fragment: fragment});
+        collectMacros(dt, fragment, this.macros);
+    }
+
+    return fragment;
+};
+
+// Renders a template with the current scope of the given `DomTal` instance, returning
+// a document fragment.
+TemplateRegistry.prototype.render = function(name, dt) {
+    var fragment,
+        source = this.source(name);
+
+    if (typeof source === 'function') {
+        dt.stack.push({});
+        fragment = source(dt);
+        dt.stack.pop();
+        return fragment;
+    }
+
+    fragment = this.parse(name, dt).cloneNode(true);
+    dt.process(fragment);
+
+    return fragment;
+};
+
+// Finds a macro by its name, or in a named template (ie: `layouts/main/macros/page`),
+// returning null if there is none. The registered templates are parsed to know their
+// macros if needed.
+TemplateRegistry.prototype.macro = function(name, dt) {
+    var i, nodes, source,
+        m = /^(.+)\/macros\/([^\/]+)$/.exec(name);
+
+    if (m) {
+        nodes = findMetal(dt, this.parse(m[1], dt), 'define-macro');
+        for (i=0; i<nodes.length; i++) {
+            if (trim(metalAttr(dt, nodes[i], 'define-macro').value) === m[2]) {
+                return nodes[i];
+            }
+        }
+        return null;
+    }
+
+    for (i in this.entries) if (this.entries.hasOwnProperty(i) && !this.macros.hasOwnProperty(name)) {
+        source = this.source(i);
+        if (typeof source === 'string' || isNode(source)) {
+            this.parse(i, dt);
+        }
+    }
+
+    return this.macros.hasOwnProperty(name) ? this.macros[name] : null;
+};
+
+// isTemplateName
+// --------------
+//  Checks if an expression is the name of a template, either registered or looking
+//  like a path (ie: partials/user-card).
+//
+function isTemplateName(exp) {
+    return DomTal.templates.has(exp) || /^[\w.-]+(\/[\w.-]+)+$/.test(exp);
+}
+
+// include
+// -------
+//  Renders a template for the `template` processor and the `tpl` modifier. Strings 
+//  naming a template (see `isTemplateName`) are taken from the registry, otherwise
+//  anything understood by `load` can be used. The nesting of the templates is
+//  limited by the _maxDepth_ option.
+//
+function include(dt, value, exp) {
+    if (!value) {
+        throw new Error('Unable to obtain template to use from expression "' + exp + '"');
+    }
+
+    // Templates including themselves would never end otherwise
+    if (dt.depth >= dt.maxDepth) {
+        throw new Error('Maximum depth of ' + dt.maxDepth + ' exceeded including the template "' + exp + '"');
+    }
+
+    dt.depth++;
+    try {
+        if (typeof value === 'string' && isTemplateName(value)) {
+            return DomTal.templates.render(value, dt);
+        }
+
+        value = load(value, dt.document, parserOptions(dt));
+        if (!value) {
+            throw new Error('Unable to parse template defined by expression "' + exp + '"');
+        }
+
+        dt.process(value);
+        return value;
+    } finally {
+        dt.depth--;
+    }
+}
+
+
+// DomTal.Catalog
+// ==============
+//  Default messages catalog for the I18n statements. The translations are kept by
+//  language and domain, using the _default_ domain and the base language (ie: `pt`
+//  for `pt-BR`) as fallbacks. Plural messages are objects with a translation for
+//  each one of the CLDR plural categories used by the language.
+//
+//      DomTal.catalog.add('es', 'shop', {
+//          'Add to cart': 'Comprar',
+//          'items-in-cart': {one: 'Un producto', other: '${count} productos'}
+//      });
+//
+//  Any object with a `translate` method like this one can be used as a catalog.
+//
+function Catalog() {
+    this.messages = {};
+}
+
+// Adds the translations for a language and domain
+Catalog.prototype.add = function(language, domain, messages) {
+    var i,
+        domains = this.messages[language] = this.messages[language] || {},
+        msgs = domains[domain] = domains[domain] || {};
+
+    for (i in messages) if (messages.hasOwnProperty(i)) {
+        msgs[i] = messages[i];
+    }
+
+    return this;
+};
+
+// Adds the translations for a language from an object with the messages of each
+// domain, which is the format generated by the `extract` command line tool.
+Catalog.prototype.load = function(language, data) {
+    var domain;
+
+    for (domain in data) if (data.hasOwnProperty(domain)) {
+        this.add(language, domain, data[domain]);
+    }
+
+    return this;
+};
+
+// Translates a message returning null if no translation is found. The options
+// are the _language_, the _domain_ and the _count_ to choose the plural form.
+Catalog.prototype.translate = function(msgid, opts) {
+    var i, j, msgs, msg,
+        languages = [opts.language],
+        domains = [opts.domain || 'default'];
+
+    if (/[-_]/.test(opts.language)) {
+        languages.push(opts.language.split(/[-_]/)[0]);
+    }
+    if (domains[0] !== 'default') {
+        domains.push('default');
+    }
+
+    for (i=0; i<languages.length; i++) {
+        for (j=0; j<domains.length; j++) {
+            msgs = this.messages[languages[i]] && this.messages[languages[i]][domains[j]];
+            if (msgs && msgs.hasOwnProperty(msgid)) {
+                msg = msgs[msgid];
+                if (msg !== null && typeof msg === 'object') {
+                    msg = msg[ Catalog.plural(opts.language, opts.count) ] || msg.other;
+                }
+                return msg;
+            }
+        }
+    }
+
+    return null;
+};
+
+// CLDR plural rules for integer numbers by base language, returning the category
+// of a number. The languages not listed use the one of english.
+Catalog.rules = {
+    en: function(n){ return n === 1 ? 'one' : 'other'; },
+    fr: function(n){ return n === 0 || n === 1 ? 'one' : 'other'; },
+    pt: function(n){ return n === 0 || n === 1 ? 'one' : 'other'; },
+    ja: function(){ return 'other'; },
+    zh: function(){ return 'other'; },
+    ko: function(){ return 'other'; },
+    cs: function(n){ return n === 1 ? 'one' : n >= 2 && n <= 4 ? 'few' : 'other'; },
+    sk: function(n){ return n === 1 ? 'one' : n >= 2 && n <= 4 ? 'few' : 'other'; },
+    pl: function(n){
+        return n === 1 ? 'one' : 
+               n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14) ? 'few' : 'many';
+    },
+    ru: function(n){
+        return n % 10 === 1 && n % 100 !== 11 ? 'one' :
+               n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 12 || n % 100 > 14) ? 'few' : 'many';
+    },
+    ar: function(n){
+        return n === 0 ? 'zero' : n === 1 ? 'one' : n === 2 ? 'two' :
+               n % 100 >= 3 && n % 100 <= 10 ? 'few' : n % 100 >= 11 ? 'many' : 'other';
+    }
+};
+Catalog.rules.uk = Catalog.rules.be = Catalog.rules.ru;
+
+// Obtains the plural category of a number for a language
+Catalog.plural = function(language, n) {
+    var rule = Catalog.rules[language] || Catalog.rules[ String(language).split(/[-_]/)[0] ] || Catalog.rules.en;
+
+    if (typeof n !== 'number' || isNaN(n)) {
+        return 'other';
+    }
+
+    return rule(Math.abs(Math.floor(n)));
+};
+
+
+// scan
+// ----
+//  Registers in `DomTal.templates`, by their id, the templates found in the page: 
+//  `script` elements of type `template/domtal` and `template` elements with a 
+//  `data-domtal` attribute. Then renders the elements with a `data-domtal-template` 
+//  attribute, calling back once they are all done or with the first error found.
+//
+function scan(root, callback) {
+    var i, nodes,
+        error = null,
+        pending = 1;
+
+    function done(err) {
+        error = error || err || null;
+        if (--pending === 0 && callback) {
+            callback(error);
+        }
+    }
+
+    nodes = root.querySelectorAll('script[type="template/domtal"], template[data-domtal]');
+    for (i=0; i<nodes.length; i++) {
+        if (nodes[i].id) {
+            DomTal.templates.register(nodes[i].id, nodes[i]);
+        }
+    }
+
+    nodes = root.querySelectorAll('[data-domtal-template]');
+    for (i=0; i<nodes.length; i++) {
+        if (!nodes[i].domtal_rendered) {
+            nodes[i].domtal_rendered = true;
+            pending++;
+            bootstrap(nodes[i], done);
+        }
+    }
+
+    done();
+}
+
+// bootstrap
+// ---------
+//  Renders the template named by the `data-domtal-template` attribute of an element
+//  as its contents. The data is taken from the `data-domtal-data` attribute, either 
+//  the path of a global variable (ie: `app.user`) or the url of a JSON file.
+//
+function bootstrap(el, callback) {
+    var name = el.getAttribute('data-domtal-template'),
+        src = el.getAttribute('data-domtal-data');
+
+    function render(err, data) {
+        var dt, fragment;
+
+        if (!err) {
+            try {
+                dt = new DomTal(null, data, {document: el.ownerDocument});
+                fragment = include(dt, name, name);
+            } catch (e) {
+                err = e;
+            }
+        }
+
+        if (!err) {
+            while (el.firstChild) {
+                el.removeChild(el.firstChild);
+            }
+            el.appendChild(fragment);
+        }
+
+        callback(err);
+    }
+
+    // Templates by name may need to be loaded first
+    if (name.charAt(0) === '#') {
+        loadData(src, render);
+    } else {
+        DomTal.templates.preload(name, function(err){
+            if (err) {
+                callback(err);
+            } else {
+                loadData(src, render);
+            }
+        });
+    }
+}
+
+// Obtains the data for `bootstrap` from a global variable or a JSON file
+function loadData(src, callback) {
+    var i, parts, value, xhr;
+
+    if (!src) {
+        callback(null, {});
+        return;
+    }
+
+    if (/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(src) && !/\.json$/i.test(src)) {
+        value = exports;
+        parts = src.split('.');
+        for (i=0; i<parts.length && value !== null && typeof value !== 'undefined'; i++) {
+            value = value[parts[i]];
+        }
+
+        if (typeof value === 'undefined') {
+            callback(new Error('Global variable "' + src + '" not found'));
+        } else {
+            callback(null, value);
+        }
+        return;
+    }
+
+    xhr = new XMLHttpRequest();
+    xhr.open('GET', src, true);
+    xhr.onreadystatechange = function(){
+        var data, err = null;
+
+        if (xhr.readyState !== 4) {
+            return;
+        }
+
+        if (xhr.status >= 200 && xhr.status < 300 || xhr.status === 0 && xhr.responseText) {
+            try {
+                data = JSON.parse(xhr.responseText);
+            } catch (e) {
+                err = new Error('Invalid JSON data in "' + src + '": ' + e.message);
+            }
+        } else {
+            err = new Error('Unable to load data from "' + src + '" (' + xhr.status + ')');
+        }
+
+        callback(err, data);
+    };
+    xhr.send(null);
+}
+
+
+// DomTal.ExpressionParser
+// =======================
+//  Helper class to parse an expression. It's pretty rudimentary but we don't need 
+//  anything fancy for the supported expression syntax.
+//
+function ExpressionParser(exp){
+    this.exp = exp;
+    this.pos = 0;
+}
+
+ExpressionParser.prototype.seek = function(ofs){
+    this.pos = ofs;
+};
+
+ExpressionParser.prototype.skip = function(len){
+    this.seek(this.pos + len);
+};
+
+ExpressionParser.prototype.consume = function(len){
+    var ret = this.exp.substr(this.pos, len);
+    this.skip(ret.length);
+    return ret;
+};
+
+ExpressionParser.prototype.remaining = function(){
+    return this.consume(this.exp.length - this.pos);
+};
+
+// An expression ident has the same syntax rules as a javascript one
+ExpressionParser.prototype.ident = function(){
+    return this.rex(/^\s*([A-Za-z$_][$\w]*)\s*/);
+};
+
+// A destructuring pattern is an identifier, an object pattern like `{id, name: title}`,
+// an array pattern like `[first, , third, ...rest]` or a key and value pair like
+// `(key, value)`. Object and array patterns can be nested and define a tales 
+// expression as default value, ie: `{name = 'anonymous'}`.
+ExpressionParser.prototype.pattern = function(){
+    var entry, close,
+        pos = this.pos,
+        result = this.ident();
+
+    if (result !== null) {
+        return result;
+    }
+
+    if (this.str('(')) {
+        result = {type: 'pair', key: this.ident(), value: null};
+        if (result.key !== null && this.str(',') && (result.value = this.pattern()) !== null && this.str(')')) {
+            return result;
+        }
+        this.seek(pos);
+        return null;
+    }
+
+    close = this.str('{') ? '}' : (this.str('[') ? ']' : null);
+    if (null === close) {
+        return null;
+    }
+
+    result = {type: close === '}' ? 'object' : 'array', items: [], rest: null};
+    while (true) {
+        if (this.str(close)) {
+            return result;
+        }
+
+        if (this.str('...')) {
+            result.rest = this.ident();
+            if (result.rest !== null && this.str(close)) {
+                return result;
+            }
+            break;
+        }
+
+        entry = {key: null, target: null, def: null};
+        if (close === '}') {
+            entry.key = entry.target = this.ident();
+            if (entry.key !== null && this.str(':')) {
+                entry.target = this.pattern();
+            }
+            if (entry.target === null) {
+                break;
+            }
+        } else {
+            // Holes in the array pattern are left without target
+            entry.target = this.pattern();
+        }
+
+        if (entry.target !== null && this.str('=')) {
+            entry.def = this.tales();
+            if (entry.def === null) {
+                break;
+            }
+        }
+
+        result.items.push(entry);
+
+        if (!this.str(',')) {
+            if (this.str(close)) {
+                return result;
+            }
+            break;
+        }
+    }
+
+    this.seek(pos);
+    return null;
+};
+
+// Only decimal numbers, no support for hex format or exponents
+ExpressionParser.prototype.number = function(){
+    return this.rex(/^\s*(-?([0-9]+|[0-9]*?\.[0-9]+))\s*/);
+};
+
+// Matches a tales prefix (ie: string:hello world!)
+ExpressionParser.prototype.prefix = function(){
+    return this.rex(/^\s*([_$\w]+)\s*:/);
+};
+
+// A tales expression is basically any valid javascript statement with special
+// threatment for spacing which behaves very similarly to how Javascript manages 
+// end of lines for statements without a semi colon.
+//
+// The return value of this matcher is an array containing all the statements found. 
+// Normally it will be a single item but if the expression contains alternates (ie: foo | bar)
+// each alternate will be returned as an element of the array.
+ExpressionParser.prototype.tales = function(){
+    var eos = 0,  // 1: probable end, 2: confirmed end
         quoted = false,
         balanced = 0,
         pos = this.pos, 
@@ -571,15 +3984,20 @@ WeightedList.prototype.hasByName = function (name) {
 };
 
 WeightedList.prototype.removeByName = function(name){
-    var i, 
+    var i, j, idx,
         items = this._items, map = this._map, weights = this._weights, 
         len = map.length;
 
     for (i=0; i<len; i++){
         if (items[ map[i] ].procname === name) {
-            items.splice(map[1], 1);
+            idx = map[i];
+            items.splice(idx, 1);
             map.splice(i, 1);
             weights.splice(i, 1);
+            // Update the references to the items after the removed one
+            for (j=0; j<map.length; j++) {
+                if (map[j] > idx) map[j]--;
+            }
             break;
         }
     }
@@ -616,23 +4034,100 @@ WeightedList.prototype.until = function(fn, ctx){
 //
 //  1. tpl    Optional, the template to load
 //  2. data   Optional, the initial global variables to be used in the template
-//  3. ns     Optional, the attributes namespace used in the template (by default is 'tal')
+//  3. opts   Optional, the attributes namespace used in the template (by default is 'tal')
+//            or an object with the options:
+//              - ns: the attributes namespace
+//              - document: the document used to create the nodes (by default is 
+//                `DomTal.document`)
+//              - backend: either _dom_ (default) to build the result with the document or
+//                _string_ to build it with a `DomTal.VirtualDocument`, which is faster
+//                when the result is just going to be serialized with `renderToString`
+//              - xml: if true the template is handled as xml, resolving the processors
+//                by their namespace instead of by their prefix
+//              - nsURI: the namespace of the processors in xml mode (by default is
+//                `DomTal.NS.TAL`)
+//              - metal: the prefix of the Metal statements (by default is 'metal'), in
+//                xml mode they are resolved by the `DomTal.NS.METAL` namespace
+//              - i18n: the prefix of the I18n statements (by default is 'i18n'), in
+//                xml mode they are resolved by the `DomTal.NS.I18N` namespace
+//              - language: the language to translate the templates to (by default
+//                is `DomTal.language`)
+//              - catalog: the messages catalog (by default is `DomTal.catalog`)
+//              - maxDepth: the maximum depth of the recursions with `recurse` and of the
+//                templates including other ones or using macros (by default is
+//                `DomTal.maxDepth`)
+//              - text: if true the template is plain text instead of markup, using
+//                `{% ... %}` directives (see `parseText`)
+//              - lines: if true the template nodes keep the line and column where they
+//                were found in a `domtal_position` property, to report errors
+//              - warn: a function receiving the problems found when parsing the 
+//                templates (by default `DomTal.warn`)
 //
 //      tpl = new DomTal('#mytpl', {test: 'foo'});
 //
-function DomTal(tpl, data, ns) {
+//  When running outside a browser (ie: NodeJS) we can give it a document
+//  implementation like the one offered by jsdom.
+//
+//      tpl = new DomTal('<p>${foo}</p>', {foo: 'Foo'}, {document: jsdom.window.document});
+//
+function DomTal(tpl, data, opts) {
     if (typeof data === 'string') {
-        ns = data;
+        opts = data;
         data = null;
     }
 
-    if (tpl) {
-        this.load(tpl);
+    if (typeof opts === 'string') {
+        opts = {ns: opts};
+    }
+    opts = opts || {};
+
+    // The document used to create new nodes. When there isn't one available we
+    // fallback to the virtual one.
+    this.backend = opts.backend || 'dom';
+    if (this.backend === 'string') {
+        this.document = virtualDocument();
+    } else if (this.backend === 'dom') {
+        this.document = opts.document || DomTal.document || 
+                        (typeof document !== 'undefined' ? document : virtualDocument());
+    } else {
+        throw new Error('Unknown backend "' + this.backend + '"');
     }
 
-    this.ns = ns ? ns : 'tal';
+    this.ns = opts.ns ? opts.ns : 'tal';
     this.ns += ':';
 
+    // In xml mode the processors are looked up by their namespace
+    this.xml = !!opts.xml;
+    this.nsURI = opts.nsURI || DomTal.NS.TAL;
+
+    // Prefix for the Metal statements (ie: metal:use-macro)
+    this.metal = (opts.metal || 'metal') + ':';
+
+    // Prefix for the I18n statements (ie: i18n:translate) and the translation settings
+    this.i18n = (opts.i18n || 'i18n') + ':';
+    this.language = opts.language || DomTal.language;
+    this.catalog = opts.catalog || DomTal.catalog;
+
+    // Protects against runaway recursions (see `recurse`, `include` and `use-macro`)
+    this.maxDepth = opts.maxDepth || DomTal.maxDepth;
+    this.depth = 0;
+
+    // Keep the position of the nodes parsed from a string (see `stringToDom`)
+    this.lines = !!opts.lines;
+
+    // Recoverable parsing problems (see `stringToDom`)
+    this.warn = opts.warn || null;
+
+    // Plain text templates (see `parseText`)
+    this.text = !!opts.text;
+
+    // The macros defined in the template (see `load`)
+    this.macros = {};
+
+    if (tpl) {
+        this.load(tpl);
+    }
+
     // If set to false tal processor attributes will be kept in the generated DOM
     this.removeAttrs = true;
 
@@ -640,6 +4135,9 @@ function DomTal(tpl, data, ns) {
     this.stack = [];
     this.stack.push( data ? data : {} );
 
+    // Internal state of the processors for the frames in the stack (see `setState`)
+    this.states = [];
+
     // Default modifier for tales expressions
     this.defMod = this.modifiers.js;
 
@@ -659,6 +4157,18 @@ DomTal.PROCTYPE = {
     PROXY   : 'proxy'
 };
 
+DomTal.NS = {
+    XHTML   : 'http://www.w3.org/1999/xhtml',
+    SVG     : 'http://www.w3.org/2000/svg',
+    MATHML  : 'http://www.w3.org/1998/Math/MathML',
+    XLINK   : 'http://www.w3.org/1999/xlink',
+    XML     : 'http://www.w3.org/XML/1998/namespace',
+    XMLNS   : 'http://www.w3.org/2000/xmlns/',
+    TAL     : 'http://xml.zope.org/namespaces/tal',
+    METAL   : 'http://xml.zope.org/namespaces/metal',
+    I18N    : 'http://xml.zope.org/namespaces/i18n'
+};
+
 DomTal.PRIO = {
     MAX       : 0,
     VERYHIGH  : 100,
@@ -672,6 +4182,18 @@ DomTal.PRIO = {
 };
 
 
+// Default document used to create the nodes when no one is given to the constructor.
+// If not set it falls back to the global `document` if available.
+//
+//      DomTal.document = new JSDOM('').window.document;
+//
+DomTal.document = null;
+
+
+// Offer a 'static' method to serialize the generated DOM. See `serialize` for
+// the available options.
+DomTal.serialize = serialize;
+
 // Offer a 'static' method to easily load a template into a new instance
 DomTal.load = function(tpl){
     var dt = new DomTal();
@@ -685,49 +4207,104 @@ DomTal.run = function(tpl, data){
     return dt.run(data);
 };
 
+// Registry of named templates, see `TemplateRegistry`
+DomTal.templates = new TemplateRegistry();
+
+// Default language and messages catalog for the I18n statements
+DomTal.language = null;
+DomTal.catalog = new Catalog();
+
+// Default maximum depth for recursions and included templates
+DomTal.maxDepth = 100;
+
+// Receives the problems found when parsing the templates, which are not serious
+// enough to stop (ie: malformed markup). The `warn` option of an instance takes
+// precedence over it.
+//
+//      DomTal.warn = function(err){ log(err.message, err.line, err.column); };
+//
+DomTal.warn = function(err){
+    if (typeof console !== 'undefined') {
+        console.warn('DomTal: ' + err.message);
+    }
+};
+
+// Offer a 'static' method to register the templates of a page and render the
+// elements marked with `data-domtal-template`. It's run automatically once the
+// page is loaded if the script loading DomTal has a `data-domtal-autoscan` attribute
+// or `DomTal.autoScan` is set, either to true or to a function receiving the error
+// if any. Otherwise errors are thrown to `window.onerror`.
+//
+//      DomTal.scan(document.getElementById('sidebar'), function(err){ ... });
+//      DomTal.autoScan = function(err){ if (err) report(err); };
+//
+DomTal.scan = function(root, callback){
+    root = root || DomTal.document || (typeof document !== 'undefined' ? document : null);
+    if (!root) {
+        throw new Error('There is no document to scan, the root element must be given');
+    }
+    scan(root, callback);
+};
+DomTal.autoScan = false;
+
+// Offer 'static' methods to convert a DOM structure into a list of operations and 
+// back again. See `operations` for their format.
+DomTal.operations = operations;
+DomTal.applyOperations = applyOperations;
+
+// Offer a 'static' method to split a text into its literal parts and the tales
+// expressions (arrays) found in `${...}` placeholders
+DomTal.parseInterpolation = parseInterpolation;
+
+// Offer a 'static' method to compile a template into a render function. It
+// takes the same options as the constructor.
+//
+//      render = DomTal.compile('#mytpl');
+//      dom = render({foo: 'Foo'});
+//
+DomTal.compile = function(tpl, opts){
+    var dt = new DomTal(tpl, null, opts),
+        fn = function(data){
+            return dt.run(data);
+        };
+
+    fn.source = dt.compile().source;
+    fn.template = dt;
+    return fn;
+};
+
 
 // By default we allow access to the global Javascript context. This allows
 // to use external helpers like underscore's function to work with arrays.
 // Override this property with your own object to limit access to the environment
 // from the templates in order to sandbox their execution.
-DomTal.prototype.env = exports;
+DomTal.prototype.env = typeof globalThis !== 'undefined' ? globalThis :
+                       typeof self !== 'undefined' ? self :
+                       typeof global !== 'undefined' ? global : exports;
 
 
 // interpolate
 // -----------
 //  Interpolates the given text with the current set of variables.
+//  The text can also be given already parsed with `parseInterpolation`.
 //
 DomTal.prototype.interpolate = function( txt ) {
-    var value, tales, out = [], 
-        div = cache.div,
-        parser = new ExpressionParser(txt);
+    var i, len, value, out = [],
+        parts = typeof txt === 'string' ? parseInterpolation(txt) : txt;
 
-    while (parser.pos < txt.length) {
-        value = parser.rex(/^[^$]+/);
-        if (value !== null) {
-            out.push(value);
+    for (i=0, len=parts.length; i<len; i++) {
+        // Strings are copied verbatim while arrays are tales expressions
+        if (typeof parts[i] === 'string') {
+            out.push(parts[i]);
+            continue;
         }
 
-        if (parser.str('${')) {
-            tales = parser.tales();
-            if (tales === null) {
-                throw new Error('Invalid tales expression "' + parser + '"');
-            }
-
-            value = this.tales(tales);
-            if (value !== DomTal.NOTHING && typeof value !== 'undefined') {
-                if (typeof value === 'object') { // DocumentFragment
-                    div.innerHTML = '';
-                    div.appendChild(value.cloneNode(true))
-                    value = div.innerHTML;
-                }
-                out.push(value);
+        value = this.tales(parts[i]);
+        if (value !== DomTal.NOTHING && typeof value !== 'undefined') {
+            if (typeof value === 'object') { // DocumentFragment
+                value = serialize(value);
             }
-
-            parser.str('}');
-        } else {
-            // Consume next two chars since it might be a escaped $$ sign
-            out.push(parser.consume(2));
+            out.push(value);
         }
     }
 
@@ -761,6 +4338,66 @@ DomTal.prototype.interpolate = function( txt ) {
     */
 };
 
+// Processor state
+// ---------------
+//  The internal state of the processors (ie: the current loop or switch) belongs to
+//  a scope frame, but it's kept apart in `dt.states` so the templates and the scope
+//  snapshots don't see it. The nearest state is found walking the stack down.
+//
+function setState(dt, frame, name, value) {
+    var i, states = dt.states;
+
+    for (i=states.length-1; i>=0; i--) {
+        if (states[i].frame === frame && states[i].name === name) {
+            states.splice(i, 1);
+            break;
+        }
+    }
+    if (value !== null) {
+        states.push({frame: frame, name: name, value: value});
+    }
+}
+
+function frameState(dt, frame, name) {
+    var i, states = dt.states;
+
+    for (i=states.length-1; i>=0; i--) {
+        if (states[i].frame === frame && states[i].name === name) {
+            return states[i].value;
+        }
+    }
+    return null;
+}
+
+function getState(dt, name, from) {
+    var i, value = null;
+
+    for (i = typeof from === 'number' ? from : dt.stack.length-1; i>=0 && !value; i--) {
+        value = frameState(dt, dt.stack[i], name);
+    }
+    return value;
+}
+
+// Forgets the state of the frames no longer in the stack
+function dropStates(dt) {
+    var i, states = dt.states;
+
+    for (i=states.length-1; i>=0; i--) {
+        if (-1 === dt.stack.indexOf(states[i].frame)) {
+            states.splice(i, 1);
+        }
+    }
+}
+
+// LazyValue
+// ---------
+//  Wraps a function computing a variable each time it's looked up with `get`, so
+//  costly values are only obtained if the template uses them.
+//
+function LazyValue(fn) {
+    this.fn = fn;
+}
+
 // get
 // ---
 //  Fetchs the contents of a variable defined by its name. If the variable is not 
@@ -769,12 +4406,14 @@ DomTal.prototype.interpolate = function( txt ) {
 //      v = tpl.get('user');
 //
 DomTal.prototype.get = function(name, def) {
-    var stack = this.stack,
+    var value,
+        stack = this.stack,
         idx = stack.length;
 
     while (idx--) {
         if (name in stack[idx]) {
-            return stack[idx][name];
+            value = stack[idx][name];
+            return value instanceof LazyValue ? value.fn() : value;
         }
     }
 
@@ -834,52 +4473,13 @@ DomTal.prototype.set = function(name, value) {
 //      document.getElementById('holder').appendChild( myTemplateElement );
 //
 DomTal.prototype.process = function( node ) {
-    var next, child,
-        attrsNo,
-        anode,
-        p, processors = this.processors,
-        recurse = true;
+    var frame;
+
+    takeOutcome(node);
 
     // Create a new local data set for new scope
     this.stack.push({});
 
-    function toArray(obj){
-        var k, ret = [];
-        for (k in obj) {
-            if (obj.hasOwnProperty(k)) {
-                ret.push(obj[k]);
-            }
-        }
-        return ret;
-    }
-
-    function isNode(o){
-        return typeof o === 'object' && typeof o.nodeType === 'number';
-    }
-
-    function insertMarker(processor, node, fragment){
-        var m1, m2,
-            ident = uniqueId++;
-
-        if (!fragment || !fragment.hasChildNodes()) {
-            m1 = fragment = document.createComment('DOMTAL:MARK id=' + ident + ' processor=' + processor);
-            m1.ident = ident; m1.type = 'mark'; m1.processor = processor;
-        } else {
-            m1 = document.createComment('DOMTAL:BEGIN id=' + ident + ' processor=' + processor);
-            m1.ident = ident; m1.type = 'begin'; m1.processor = processor;
-            fragment.insertBefore(m1, fragment.firstChild);
-
-            m2 = document.createComment('DOMTAL:END id=' + ident + ' processor=' + processor);
-            m2.ident = ident; m2.type = 'end'; m2.processor = processor;
-            fragment.appendChild(m2);
-        }
-
-        node.parentNode.replaceChild(fragment, node);
-
-        return m1;
-    }
-
-
     // TODO: Can we defer the backup creation until it's actually needed?
     //var bound;
     //var snapshot;
@@ -888,7 +4488,12 @@ DomTal.prototype.process = function( node ) {
     this.render(node);
 
     // remove the current local data set since it has run out of scope
-    this.stack.pop();
+    frame = this.stack.pop();
+
+    // Its processors state goes with it, being the last one added
+    while (this.states.length && this.states[this.states.length-1].frame === frame) {
+        this.states.pop();
+    }
 };
 
 
@@ -911,36 +4516,10 @@ TODO:
 */
 
 DomTal.prototype.render = function(node, bound){
-
-    function isNode(o){
-        return typeof o === 'object' && typeof o.nodeType === 'number';
-    }
-
-    function insertMarker(processor, node, fragment){
-        var m1, m2,
-            ident = uniqueId++;
-
-        if (!fragment || !fragment.hasChildNodes()) {
-            m1 = fragment = document.createComment('DOMTAL:MARK id=' + ident + ' processor=' + processor);
-            m1.ident = ident; m1.type = 'mark'; m1.processor = processor;
-        } else {
-            m1 = document.createComment('DOMTAL:BEGIN id=' + ident + ' processor=' + processor);
-            m1.ident = ident; m1.type = 'begin'; m1.processor = processor;
-            fragment.insertBefore(m1, fragment.firstChild);
-
-            m2 = document.createComment('DOMTAL:END id=' + ident + ' processor=' + processor);
-            m2.ident = ident; m2.type = 'end'; m2.processor = processor;
-            fragment.appendChild(m2);
-        }
-
-        node.parentNode.replaceChild(fragment, node);
-
-        return m1;
-    }
-
+    var doc = this.document;
 
     var deps, snapshot, backup;
-    var recurse = true;
+    var recurse = true, handled = false;
     var alldeps = [];
     var attrsNo;
 
@@ -968,25 +4547,14 @@ DomTal.prototype.render = function(node, bound){
     } else if (node.nodeType === 1 && node.parentNode && (attrsNo = node.attributes.length)) {
 
         var processors = this.processors,
+            lookup = processorLookup(this, node),
             foundAttrs = [],
-            anode;
-
-        var ns = this.ns;
-        if (node.nodeName.toLowerCase().indexOf(ns) === 0) {
-            ns = '';
-            // Specify an omit-tag if it's not set so that the custom element
-            // gets removed from the generated DOM by default
-            if (!node.getAttributeNode('omit-tag')) {
-                // TODO: Doesn't work :-(
-                //node.setAttribute('omit-tag', '1');
-                //attrsNo++;
-            }
-        }
+            anode;
 
         // check each processor to see if it's defined in the node
         //for (p in processors) if (processors.hasOwnProperty(p)) {
         processors.until(function(processor){
-            anode = node.getAttributeNode(ns + processor.procname);
+            anode = lookup(processor.procname);
             if (!anode) {
                 return true;
             }
@@ -1015,7 +4583,7 @@ DomTal.prototype.render = function(node, bound){
             // Create a new dependency tracking context
             this.tracker.begin();
             // Run the processor against the current node
-            recurse = processor.call(this, node, anode.value);
+            recurse = processor.call(this, node, processorArgs(processor, anode.value));
             // Stop capturing dependencies
             deps = this.tracker.end();
 
@@ -1028,13 +4596,13 @@ DomTal.prototype.render = function(node, bound){
                 recurse = true;
             // We want to remove this node
             } else if (null === recurse) {
-                node = insertMarker(processor.procname, node);
+                node = insertMarker(doc, processor.procname, node);
                 recurse = false;
                 return;
             // If the processor wants to replace the node we do so and stop.
             } else if (isNode(recurse)) {
                 if (recurse.nodeType === 11) { 
-                    node = insertMarker(processor.procname, node, recurse);
+                    node = insertMarker(doc, processor.procname, node, recurse);
                 } else {
                     if (!node.parentNode) {
                         console.log('DOMTAL ERROR! No parentNode found when replacing a node')
@@ -1054,6 +4622,12 @@ DomTal.prototype.render = function(node, bound){
                 return;
             }
 
+            // Once a processor has set the children (ie: content) the following ones
+            // can't have them processed, since they could contain anything
+            if (false === recurse) {
+                handled = true;
+            }
+
             // if no more attributes then we can stop looking for processors
             attrsNo--;
             if ( attrsNo < 1 ) {
@@ -1063,6 +4637,10 @@ DomTal.prototype.render = function(node, bound){
             return true;
         }, this);
 
+        if (handled) {
+            recurse = false;
+        }
+
         // remove processed attributes. Internet Explorer does not allow to remove
         // node attributes.
         if (this.removeAttrs && !isIE && node && node.nodeType === 1) {
@@ -1082,6 +4660,12 @@ DomTal.prototype.render = function(node, bound){
         }
     }
 
+    // Elements in the processors namespace (ie: tal:block) are replaced by their contents
+    if (node && node.nodeType === 1 && node.parentNode && processorLookup(this, node).prefixless) {
+        node = unwrap(this, node, recurse);
+        recurse = false;
+    }
+
     // Setup bound renderer if not done already
     if (!bound && alldeps.length) {
         console.log('Setting up computed for node...', alldeps);
@@ -1095,7 +4679,7 @@ DomTal.prototype.render = function(node, bound){
             newnode = backup.cloneNode(true);
 
             // Make sure it has a parent node
-            cache.div.appendChild(newnode);
+            containers(doc).div.appendChild(newnode);
 
             // Swap the stack for the snapshoted version
             stackBackup = this.stack;
@@ -1105,6 +4689,11 @@ DomTal.prototype.render = function(node, bound){
             // Restore the stack
             this.stack = stackBackup;
 
+            // Nodes attached to existing markup by `hydrate` are the ones to replace
+            if (node.domtal_hydrated) {
+                node = node.domtal_hydrated;
+            }
+
             // Place the rendered template in the final location
             node.parentNode.replaceChild(newnode, node);
             // Update the node in the closure to keep the correct reference
@@ -1112,7 +4701,7 @@ DomTal.prototype.render = function(node, bound){
 
             // Try to avoid memory leaks
             newnode = null;
-            cache.div.innerHTML = '';
+            removeChildren(containers(doc).div);
         }, {ctx: this});
     }
 
@@ -1136,6 +4725,403 @@ DomTal.prototype.render = function(node, bound){
 };
 
 
+// contents
+// --------
+//  Detaches the child nodes of the given element returning them rendered in a 
+//  document fragment.
+//
+//      value = tpl.contents(node);
+//
+DomTal.prototype.contents = function(node) {
+    var fragment = this.document.createDocumentFragment(),
+        children = node.domtal_children;
+
+    // Elements from a compiled template get their children built on demand
+    if (children) {
+        node.domtal_children = null;
+        children(fragment);
+        return fragment;
+    }
+
+    while (node.firstChild) {
+        fragment.appendChild(node.firstChild);
+    }
+
+    // Process the child nodes in case they contain templating instructions
+    this.process(fragment);
+
+    return fragment;
+};
+
+
+// execute
+// -------
+//  Used by compiled templates to run the processors of an element. They are given 
+//  as a list of processor name and parsed argument pairs, sorted by priority. The 
+//  children of the element are built with the _children_ function only if needed, 
+//  while the _build_ function creates a new instance of the element (ie: to repeat it).
+//
+//  It follows the same rules as `render`, although no dependencies are tracked.
+//
+DomTal.prototype.execute = function(node, procs, children, build) {
+    var i, len, processor, attr, child, next,
+        doc = this.document,
+        el = node,
+        recurse = true,
+        handled = false;
+
+    takeOutcome(node);
+    this.stack.push({});
+
+    el.domtal_children = children;
+    el.domtal_build = build;
+
+    for (i=0, len=procs.length; i<len; i++) {
+        processor = this.processors.getByName(procs[i][0]);
+        if (!processor) {
+            throw new Error('Unknown processor "' + procs[i][0] + '"');
+        }
+
+        recurse = processor.call(this, node, procs[i][1]);
+
+        if (typeof recurse === 'undefined') {
+            recurse = true;
+        } else if (null === recurse) {
+            node = insertMarker(doc, processor.procname, node);
+            recurse = false;
+            break;
+        } else if (isNode(recurse)) {
+            if (recurse.nodeType === 11) {
+                node = insertMarker(doc, processor.procname, node, recurse);
+            } else {
+                // The processor could have already replaced the node
+                if (node.parentNode) {
+                    node.parentNode.replaceChild(recurse, node);
+                }
+                node = recurse;
+            }
+            recurse = false;
+            break;
+        }
+
+        // if the processor has removed the node then just exit
+        if (!node.parentNode) {
+            recurse = false;
+            break;
+        }
+
+        if (false === recurse) {
+            handled = true;
+        }
+    }
+
+    if (handled) {
+        recurse = false;
+    }
+
+    // The children could have been already consumed by a processor
+    children = el.domtal_children;
+    el.domtal_children = el.domtal_build = null;
+
+    // Perform the interpolation on the remaining attributes
+    i = node.attributes ? node.attributes.length : 0;
+    while (i--) {
+        attr = node.attributes[i];
+        if (attr.value && -1 !== attr.value.indexOf('${')) {
+            attr.value = this.interpolate(attr.value);
+        }
+    }
+
+    // Nodes added by the processors are rendered as usual
+    if (recurse && node.firstChild) {
+        child = node.firstChild;
+        while (child) {
+            next = child.nextSibling;
+            this.process(child);
+            child = next;
+        }
+    } else if (recurse && children) {
+        children(node);
+    }
+
+    if (node.nodeType === 1 && node.parentNode && processorLookup(this, node).prefixless) {
+        unwrap(this, node, false);
+    }
+
+    this.stack.pop();
+};
+
+
+// compile
+// -------
+//  Compiles the loaded template into a javascript function which builds the result
+//  directly, without walking the template nor parsing its expressions on each run. 
+//  Once compiled `run` will use it. The generated code is available in the `source`
+//  property of the returned function.
+//
+//  Elements with processors registered without a _parse_ function can't be compiled,
+//  they are built as they are in the template and rendered with `process` instead.
+//
+//      tpl.compile();
+//      dom = tpl.run({items: rows});
+//
+DomTal.prototype.compile = function() {
+    if (!this.tpl) {
+        throw new Error('No template was loaded, unable to perform the action');
+    }
+    if (this.text) {
+        throw new Error('Templates in text mode can not be compiled');
+    }
+
+    this.compiled = compile(this, this.tpl);
+    return this.compiled;
+};
+
+
+// define
+// ------
+//  Defines the variables parsed from a `define` expression. When no tales expression
+//  is given for a variable the rendered contents of the node are used.
+//
+DomTal.prototype.define = function(exp, node) {
+    var i, k, def, value, data;
+
+    for (i=0; i<exp.defs.length; i++) {
+        def = exp.defs[i];
+        data = def.global ? this.stack[0] : this.stack[this.stack.length-1];
+
+        // If no expression was given we just use the node contents as value
+        value = def.tales === null ? DomTal.DEFAULT : this.tales(def.tales);
+
+        // Move child nodes if we want to store them as defaults
+        if (value === DomTal.DEFAULT) {
+            if (!node || typeof def.name !== 'string') {
+                throw new Error('Expected a tales expression for "' + (typeof def.name === 'string' ? def.name : 'pattern') + '" in "' + exp.exp + '"');
+            }
+            value = this.contents(node);
+        } else if (value === DomTal.NOTHING) {
+            continue;
+        }
+
+        // Check if we want to extract the properties of an object
+        if (typeof def.name === 'object') {
+            assignPattern(this, data, def.name, value);
+        } else if (def.name === '.') {
+            if (typeof value !== 'object') {
+                throw new Error('Unable to extract variables from a non object resolved from expression "' + exp.exp + '"');
+            }
+
+            for (k in value) {
+                if (value.hasOwnProperty(k)) {
+                    data[k] = value[k];
+                }
+            }
+        } else {
+            data[def.name] = value;
+        }
+    }
+};
+
+// test
+// ----
+//  Evaluates a tales expression as a condition. 
+//
+DomTal.prototype.test = function(tales) {
+    var value;
+
+    if (tales !== null) {
+        try {
+            value = this.tales(tales);
+        } catch (e) {
+            // If there is an error evaluating the expression (ie: variable doesn't exists)
+            // assume a false condition. This is not standard Tal but simplifies the common
+            // use case of checking if a variable exists and is true.
+            value = false;
+        }
+    }
+
+    if (typeof value === 'function') {
+        try {
+            value = !!value();
+        } catch(e) {
+            value = false;
+        }
+    }
+
+    return !!value;
+};
+
+// makeIterable
+// ------------
+//  Normalizes the values which can be repeated into an object with the number of
+//  items in _count_ and their _keys_ and _values_ in two arrays. It understands
+//  arrays and array like objects (ie: `arguments`, a `NodeList` or typed arrays), 
+//  objects with an `each` method, maps, anything implementing the iteration protocol
+//  (ie: sets or generators) and finally plain objects, using their own properties.
+//  Maps are keyed by their keys while other iterables use the item index.
+//
+//      items = tpl.makeIterable(new Map([['a', 1], ['b', 2]]));
+//      items.keys[1] === 'b' && items.values[1] === 2;
+//
+var arrayLike = /^\[object (Array|Arguments|NodeList|HTMLCollection|\w+Array)\]$/;
+
+DomTal.prototype.makeIterable = function(value) {
+    var i, it, step,
+        type = Object.prototype.toString.call(value),
+        result = {count: 0, keys: [], values: []};
+
+    function add(v, k) {
+        result.keys.push(k);
+        result.values.push(v);
+        result.count++;
+    }
+
+    if (value === null || typeof value === 'undefined') {
+        return result;
+    }
+
+    if (arrayLike.test(type)) {
+        for (i=0; i<value.length; i++) {
+            add(value[i], i);
+        }
+    } else if (typeof value.each === 'function') {
+        value.each(add);
+    } else if (type === '[object Map]') {
+        value.forEach(add);
+    } else if (typeof Symbol === 'function' && Symbol.iterator && typeof value[Symbol.iterator] === 'function') {
+        it = value[Symbol.iterator]();
+        for (i=0; !(step = it.next()).done; i++) {
+            add(step.value, i);
+        }
+    } else {
+        for (i in value) if (value.hasOwnProperty(i)) {
+            add(value[i], i);
+        }
+    }
+
+    return result;
+};
+
+// iterate
+// -------
+//  Calls the given function for each one of the values of an iterable, setting the
+//  current value in the _item_ variable and its meta information in `repeat.<item>`.
+//  Both are defined in the current scope. It returns the number of items. The kind
+//  of values supported are the ones of `makeIterable`. The optional _clauses_ are 
+//  the ones parsed from a repeat expression (ie: `where` or `limit`). The _item_ can
+//  also be a destructuring pattern, see `ExpressionParser#pattern`.
+//
+DomTal.prototype.iterate = function(item, value, clauses, fn) {
+    var i, len, meta, parent,
+        name = patternName(item),
+        data = this.stack[ this.stack.length-1 ],
+        recursion = frameState(this, data, 'recurse');
+
+    if (typeof clauses === 'function') {
+        fn = clauses;
+        clauses = null;
+    }
+
+    if (typeof data.repeat === 'undefined') {
+        data.repeat = {};
+    }
+
+    // Preprocess the value to find how many items are there
+    value = this.makeIterable(value);
+    if (clauses) {
+        value = applyClauses(this, item, value, clauses);
+    }
+    len = value.count;
+
+    // The enclosing loop is the nearest one in the outer scopes
+    parent = getState(this, 'repeat', this.stack.length-2);
+
+    // Initialize the meta data object
+    meta = data.repeat[name] = {
+        index: 0,       number: 1,
+        odd: false,     even: true,
+        start: true,    end: len === 0,
+        length: len,
+        total: clauses ? value.total : len,
+        pages: clauses ? value.pages : 1,
+        page: clauses ? value.page : 1,
+        parent: parent,
+        depth: recursion ? recursion.depth : 0,
+        // Check if the item starts or ends a group of items sharing a value
+        first: function(path) {
+            return meta.index === 0 || !sameGroup(value.values[meta.index-1], value.values[meta.index], path);
+        },
+        last: function(path) {
+            return meta.index === len-1 || !sameGroup(value.values[meta.index+1], value.values[meta.index], path);
+        }
+    };
+    setState(this, data, 'repeat', meta);
+
+    for (i=0; i<len; i++) {
+        meta.key = value.keys[i];
+        meta.letter = letters(i);
+        meta.Letter = meta.letter.toUpperCase();
+        meta.roman = roman(i + 1);
+        meta.Roman = meta.roman.toUpperCase();
+        assignPattern(this, data, item, value.values[i], value.keys[i]);
+
+        fn.call(this, value.values[i], value.keys[i]);
+
+        // update meta information
+        meta.index++;           meta.number++;
+        meta.odd = !meta.odd;   meta.even = !meta.even;
+        meta.start = false;     meta.end = meta.number === len;
+    }
+
+    return len;
+};
+
+
+// translate
+// ---------
+//  Translates a message to the language of the instance with its catalog, in the
+//  domain set for the current node (see `i18n:domain`). It returns null when there
+//  is no translation.
+//
+//      title = tpl.translate('Welcome');
+//
+DomTal.prototype.translate = function(msgid, count) {
+    var i, domain, source;
+
+    if (!this.language || !this.catalog) {
+        return null;
+    }
+
+    for (i=this.stack.length-1; i>=0; i--) {
+        domain = domain || this.stack[i]['i18n:domain'];
+        source = source || this.stack[i]['i18n:source'];
+    }
+
+    if (source === this.language) {
+        return null;
+    }
+
+    return this.catalog.translate(msgid, {language: this.language, domain: domain, count: count});
+};
+
+// extract
+// -------
+//  Collects the messages of the template to translate, by domain and message id,
+//  with their text in the template. They are added to the given object if any.
+//
+//      messages = tpl.extract();   // {shop: {'Add to cart': 'Add to cart'}}
+//
+DomTal.prototype.extract = function(messages) {
+    messages = messages || {};
+
+    if (this.tpl && !this.text) {
+        extractMessages(this, this.tpl, 'default', messages);
+    }
+
+    return messages;
+};
+
+
 // tales
 // -----
 //  Evaluates the given Tales expression returning the result.
@@ -1211,44 +5197,236 @@ DomTal.prototype.tales = function(exps, ref) {
 //      tpl.load( '#myTemplate' );
 //      tpl.load( '<strong tal:content="username">drslump</strong>' );
 //
+//  A function generated by `compile` can be given too, in which case it's used to
+//  build the result.
+//
+//  In text mode the template is given as a string or as an element with the text,
+//  and it's parsed into a list of blocks (see `parseText`).
+//
 DomTal.prototype.load = function( tpl ) {
-    this.tpl = load(tpl);
+    this.macros = {};
+
+    if (typeof tpl === 'function') {
+        this.compiled = tpl;
+        this.tpl = null;
+        return tpl;
+    }
+
+    this.compiled = null;
+
+    if (this.text) {
+        if (typeof tpl === 'string' && tpl.charAt(0) === '#') {
+            tpl = this.document.getElementById( tpl.substring(1) );
+        }
+        this.tpl = tpl ? parseText(typeof tpl === 'string' ? tpl : tpl.textContent) : null;
+        return this.tpl;
+    }
+
+    this.tpl = load(tpl, this.document, parserOptions(this));
+
+    if (this.tpl) {
+        collectMacros(this, this.tpl, this.macros);
+    }
+
     return this.tpl;
 };
 
 
-// run
-// ---
-//  Parses the template and returns the final result. Optionally set the data to
-//  feed the template if not done already with the `set` method.
+// run
+// ---
+//  Parses the template and returns the final result. Optionally set the data to
+//  feed the template if not done already with the `set` method.
+//
+//  Returns a document fragment with the result of the template execution or false
+//  if an error happened. In text mode the result is a string.
+//
+//      dom = tpl.run({foo:'Foo', bar:'Bar'});
+//      document.body.appendChild(out);
+//
+DomTal.prototype.run = function(data) {
+    var result, size;
+
+    if (data) {
+        this.set(data);
+    }
+
+    if (!this.compiled && !this.tpl) {
+        throw new Error('No template was loaded, unable to perform the action');
+    }
+
+    // Drop the scopes left by a failed rendering so the instance can be run again
+    size = this.stack.length;
+    try {
+        if (this.compiled) {
+            this.stack.push({});
+            return this.compiled(this);
+        }
+
+        if (this.text) {
+            this.stack.push({});
+            return renderText(this, this.tpl, []).join('');
+        }
+
+        // Make a copy of the template and process it
+        result = this.tpl.cloneNode(true);
+        this.process(result);
+
+        return result;
+    } finally {
+        this.stack.length = size;
+        dropStates(this);
+    }
+};
+
+// renderToString
+// --------------
+//  Parses the template like `run` but returns the result serialized as a string. 
+//  See `DomTal.serialize` for the available options.
+//
+//      html = tpl.renderToString({foo:'Foo'}, {format: 'xhtml', pretty: true});
+//
+DomTal.prototype.renderToString = function(data, opts) {
+    var result = this.run(data);
+
+    if (this.text) {
+        return result;
+    }
+
+    result = serialize(result, opts);
+
+    // Include the data so the result can be hydrated on the client, escaping the markup
+    // characters so no string can end the script or be taken for a comment in it
+    if (opts && opts.scope) {
+        result += '<script type="application/json" data-domtal-scope>' + 
+                  JSON.stringify(this.stack[0]).replace(/[<>&]/g, function(chr){
+                      return '\\u00' + chr.charCodeAt(0).toString(16);
+                  }) + 
+                  '</script>';
+    }
+
+    return result;
+};
+
+// Checks if a node is the scope snapshot included by `renderToString`
+function isScope(node) {
+    return node.nodeType === 1 && node.nodeName.toLowerCase() === 'script' && 
+           node.hasAttribute('data-domtal-scope');
+}
+
+// Collapses the white space of a text, since the indentation doesn't affect the rendering
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').replace(/^ | $/g, '');
+}
+
+// Checks if two elements have the same attributes with the same values
+function sameAttributes(a, b) {
+    var i, attr;
+
+    if (a.attributes.length !== b.attributes.length) {
+        return false;
+    }
+    for (i=0; i<a.attributes.length; i++) {
+        attr = a.attributes[i];
+        if (b.getAttribute(attr.name) !== attr.value) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Matches the child nodes of a rendered node with the existing ones, which must
+// have the same structure and contents, linking each one to its counterpart. White
+// space and the scope snapshot are ignored since they don't affect the rendering.
+function hydrateChildren(rendered, existing) {
+    var i, a, b,
+        left = [],
+        right = [];
+
+    for (a = rendered.firstChild; a; a = a.nextSibling) {
+        if (!isBlank(a)) {
+            left.push(a);
+        }
+    }
+    for (b = existing.firstChild; b; b = b.nextSibling) {
+        if (!isBlank(b) && !isScope(b)) {
+            right.push(b);
+        }
+    }
+
+    if (left.length !== right.length) {
+        return false;
+    }
+
+    for (i=0; i<left.length; i++) {
+        a = left[i];
+        b = right[i];
+
+        if (a.nodeType !== b.nodeType ||
+            a.nodeType === 1 && a.nodeName.toLowerCase() !== b.nodeName.toLowerCase() ||
+            a.nodeType === 1 && !sameAttributes(a, b) ||
+            isMarker(a) !== isMarker(b) ||
+            a.nodeType !== 1 && !isMarker(a) && collapse(a.nodeValue) !== collapse(b.nodeValue)) {
+            return false;
+        }
+
+        a.domtal_hydrated = b;
+        if (a.nodeType === 1 && !hydrateChildren(a, b)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// hydrate
+// -------
+//  Attaches to the markup already rendered in a container, usually on the server 
+//  with `renderToString`, instead of replacing it. The template is run again to
+//  restore the scopes and set up the re-renderers of the bound nodes, but the 
+//  result is only matched with the existing nodes, which are the ones updated 
+//  when the data changes. If no data is given it's taken from the scope snapshot
+//  found in the container.
 //
-//  Returns a document fragment with the result of the template execution or false
-//  if an error happened.
+//  When the markup doesn't match the rendered one, either because the template or 
+//  the data are different, the container contents are replaced with the rendered 
+//  ones. It returns false in that case.
 //
-//      dom = tpl.run({foo:'Foo', bar:'Bar'});
-//      document.body.appendChild(out);
+//      tpl.hydrate(document.getElementById('app'));
 //
-DomTal.prototype.run = function(data) {
-    var result;
+DomTal.prototype.hydrate = function(container, data) {
+    var child, result;
 
-    if (data) {
-        this.set(data);
+    if (this.text) {
+        throw new Error('Text templates can not be hydrated');
     }
 
-    if (!this.tpl) {
-        throw new Error('No template was loaded, unable to perform the action');
+    for (child = container.firstChild; child && !data; child = child.nextSibling) {
+        if (isScope(child)) {
+            data = JSON.parse(child.textContent);
+        }
     }
 
-    // Make a copy of the template and process it
-    result = this.tpl.cloneNode(true);
-    this.process(result);
+    result = this.run(data);
 
-    return result;
+    if (hydrateChildren(result, container)) {
+        return true;
+    }
+
+    removeChildren(container);
+    container.appendChild(result);
+
+    return false;
 };
 
 
 
 
+// Parses a processor argument consisting of a single tales expression
+function parseTales(exp) {
+    return new ExpressionParser(exp).tales();
+}
+
+
 // TAL Processors
 // ==============
 // 
@@ -1262,10 +5440,20 @@ DomTal.prototype.run = function(data) {
 //    defined.
 //  - the second argument is the tales expression to parse
 //
+//  When registering a processor it can be given a _parse_ function, which converts
+//  the attribute value to the argument received by the processor. Its result is 
+//  cached, so each expression is parsed only once, and it must be serializable as 
+//  JSON so it can be embedded in compiled templates (see `DomTal.compile`). Called
+//  directly with the attribute value the processor parses it by itself.
+//
+//      this.processors.getByName('content').call(this, node, 'user.name');
+//
 DomTal.prototype.processors = new WeightedList();
 
 // Registers a new processor
-DomTal.prototype.processor = function(name, priority, type, fn){
+DomTal.prototype.processor = function(name, priority, type, fn, parse){
+    var processor;
+
     if (arguments.length === 2) {
         fn = priority;
         priority = DomTal.PRIO.AVERAGE;
@@ -1278,11 +5466,20 @@ DomTal.prototype.processor = function(name, priority, type, fn){
     // Remove any previous processor with the same name
     this.processors.removeByName(name);
 
+    // When called directly with the attribute value (ie: from another processor) 
+    // it's parsed first, so the parse function must keep its own results as they are
+    processor = !parse ? fn : function(node, args){
+        return fn.call(this, node, typeof args === 'string' ? processorArgs(processor, args) : args);
+    };
+
     // Expand the callback function with additional meta data
-    fn.procname = name;
-    fn.proctype = type;
+    processor.procname = name;
+    processor.proctype = type;
+    processor.parse = parse || null;
+    processor.parsed = {};
+    processor.parsedCount = 0;
 
-    this.processors.add(fn, priority);
+    this.processors.add(processor, priority);
 };
 
 
@@ -1296,6 +5493,12 @@ DomTal.prototype.processor = function(name, priority, type, fn){
 //
 //      define="[global] VarName [TalesExpression|structure]"
 //
+//  Instead of a variable name a destructuring pattern can be used, which defines 
+//  a variable for each one of the properties or items extracted from the value.
+//  Missing values can get a default one with a tales expression.
+//
+//      define="{name, email: mail, role = 'guest'} user; [first, ...rest] parts"
+//
 //  - Empty elements with this processor are not removed from the template,
 //    use _omit-tag_ to accomplish that behaviour.
 //  - If no tales expression is supplied or it's _structure_ then the
@@ -1320,22 +5523,28 @@ DomTal.prototype.processor = function(name, priority, type, fn){
 //      </span>
 //
 DomTal.prototype.processor('define', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, function(node, exp){
-    var i, value, def, tales, data;
+    this.define(exp, node);
+
+    // process the child nodes
+    return true;
+}, parseDefine);
+
+// Parses the definitions into a list of `{global, name, tales}` objects
+function parseDefine(exp) {
+    var def, global, defs = [];
 
     exp = new ExpressionParser(exp);
 
     while (true) {
-        // First is either the global keyword or the define name
-        def = exp.ident() || exp.str('.');
-        if (def === 'global') {
-            data = this.stack[0];
-            def = exp.ident() || exp.str('.');
-        } else {
-            data = this.stack[this.stack.length-1];
+        // First is either the global keyword or the define name or pattern
+        def = exp.pattern() || exp.str('.');
+        global = def === 'global';
+        if (global) {
+            def = exp.pattern() || exp.str('.');
         }
 
         if (def === null) {
-            throw new Error('Expected an identifier at ' + exp.pos + ' in "' + exp + '"');
+            throw new Error('Expected an identifier or a pattern at ' + exp.pos + ' in "' + exp + '"');
         }
 
         // Not in the spec. but we allow an optional colon or equal sign
@@ -1343,44 +5552,84 @@ DomTal.prototype.processor('define', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, f
         exp.str('=');
 
         // Now comes a tales expression
-        tales = exp.tales();
+        defs.push({global: global, name: def, tales: exp.tales()});
 
-        // If no expression was given we just use the node contents as value
-        value = tales === null ? DomTal.DEFAULT : this.tales(tales);   
+        if (!exp.str(';')) break;
+    }
 
-        // Move child nodes if we want to store them as defaults
-        if (value === DomTal.DEFAULT) {
-            value = document.createDocumentFragment();
-            while (node.firstChild) {
-                value.appendChild(node.firstChild);
-            }
-            // Process the child nodes in case they contain templating instructions
-            this.process(value);
-        } else if (value === DomTal.NOTHING) {
+    return {exp: exp.exp, defs: defs};
+}
+
+// Defines in the _data_ scope the variables of a destructuring pattern (see 
+// `ExpressionParser#pattern`) with the given value. The _key_ is used by the
+// key and value pairs. Missing values are left undefined unless they have a
+// default, even if the value to destructure is null.
+function assignPattern(dt, data, pattern, value, key) {
+    var i, k, entry, values, seen = {},
+        missing = value === null || typeof value === 'undefined';
+
+    if (typeof pattern === 'string') {
+        data[pattern] = value;
+        return;
+    }
+
+    if (pattern.type === 'pair') {
+        data[pattern.key] = key;
+        assignPattern(dt, data, pattern.value, value);
+        return;
+    }
+
+    values = pattern.type === 'array' ? dt.makeIterable(value).values : null;
+
+    for (i=0; i<pattern.items.length; i++) {
+        entry = pattern.items[i];
+        if (entry.target === null) {
             continue;
         }
 
-        // Check if we want to extract the properties of an object
-        if (def === '.') {
-            if (typeof value !== 'object') {
-                throw new Error('Unable to extract variables from a non object resolved from expression "' + exp + '"');
-            }
+        if (values) {
+            k = values[i];
+        } else {
+            seen[entry.key] = true;
+            k = missing ? undefined : value[entry.key];
+        }
 
-            for (var k in value) {
-                if (value.hasOwnProperty(k)) {
-                    data[k] = value[k];
-                }
-            }
+        if (typeof k === 'undefined' && entry.def) {
+            k = dt.tales(entry.def);
+        }
+
+        assignPattern(dt, data, entry.target, k);
+    }
+
+    if (pattern.rest !== null) {
+        if (values) {
+            data[pattern.rest] = values.slice(pattern.items.length);
         } else {
-            data[def] = value;
+            data[pattern.rest] = {};
+            for (k in value) if (!missing && value.hasOwnProperty(k) && !seen[k]) {
+                data[pattern.rest][k] = value[k];
+            }
         }
+    }
+}
 
-        if (!exp.str(';')) break;
+// Obtains the name of the main variable of a pattern, the value one for pairs or
+// the first one for object and array patterns
+function patternName(pattern) {
+    var i, name = null;
+
+    if (typeof pattern === 'string') {
+        return pattern;
+    } else if (pattern.type === 'pair') {
+        return patternName(pattern.value);
     }
 
-    // process the child nodes
-    return true;
-});
+    for (i=0; i<pattern.items.length && name === null; i++) {
+        name = pattern.items[i].target === null ? null : patternName(pattern.items[i].target);
+    }
+
+    return name === null ? pattern.rest : name;
+}
 
 // condition
 // ---------
@@ -1401,33 +5650,58 @@ DomTal.prototype.processor('define', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, f
 //          No items in your cart
 //      </span>
 //
-DomTal.prototype.processor('condition', DomTal.PRIO.VERYHIGH, DomTal.PROCTYPE.REPLACE, function (node, exp){
-    var tales, value;
+DomTal.prototype.processor('condition', DomTal.PRIO.VERYHIGH, DomTal.PROCTYPE.REPLACE, function (node, tales){
+    var matched = this.test(tales);
+    setOutcome(node, matched);
+    return matched ? true : null;
+}, parseTales);
 
-    exp = new ExpressionParser(exp);
+// elif
+// ----
+//  Renders the element if no previous branch did and its expression evaluates to 
+//  true. It must be placed in the element right after a _condition_, a _repeat_ or 
+//  another _elif_.
+//
+//      <p tal:condition="user.admin">Administrator</p>
+//      <p tal:elif="user.editor">Editor</p>
+//      <p tal:else="">Reader</p>
+//
+DomTal.prototype.processor('elif', DomTal.PRIO.VERYHIGH, DomTal.PROCTYPE.REPLACE, function(node, tales){
+    var matched = node.domtal_else;
 
-    tales = exp.tales();
-    if (tales !== null) {
-        try {
-            value = this.tales(tales);
-        } catch (e) {
-            // If there is an error evaluating the expression (ie: variable doesn't exists)
-            // assume a false condition. This is not standard Tal but simplifies the common
-            // use case of checking if a variable exists and is true.
-            value = false;
-        }
+    // The branch was already chosen before repeating the element
+    if (node.domtal_repeat) {
+        return true;
     }
 
-    if (typeof value === 'function') {
-        try {
-            value = !!value();
-        } catch(e) {
-            value = false;
-        }
+    if (typeof matched === 'undefined') {
+        throw new Error('Found an elif processor without a previous condition or repeat');
     }
 
-    return value ? true : null;
-});
+    matched = !matched && this.test(tales);
+    setOutcome(node, node.domtal_else || matched);
+    return matched ? true : null;
+}, parseTales);
+
+// else
+// ----
+//  Renders the element only if none of the previous branches did. After a _repeat_
+//  it's rendered when there were no items to repeat, offering an empty state.
+//
+//      <li tal:repeat="item cart.items" tal:content="item.title"></li>
+//      <li tal:else="">Your cart is empty</li>
+//
+DomTal.prototype.processor('else', DomTal.PRIO.VERYHIGH, DomTal.PROCTYPE.REPLACE, function(node){
+    if (node.domtal_repeat) {
+        return true;
+    }
+
+    if (typeof node.domtal_else === 'undefined') {
+        throw new Error('Found an else processor without a previous condition or repeat');
+    }
+
+    return node.domtal_else ? null : true;
+}, trim);
 
 // repeat
 // ------
@@ -1449,7 +5723,52 @@ DomTal.prototype.processor('condition', DomTal.PRIO.VERYHIGH, DomTal.PROCTYPE.RE
 //      repeat.item.end     - returns true if the item is the last one
 //      repeat.item.length  - returns the number of elements in the resource
 //      repeat.item.key     - returns the item's key
+//      repeat.item.letter  - returns the item index as letters (a to z, aa...)
+//      repeat.item.Letter  - returns the item index as upper case letters
+//      repeat.item.roman   - returns the item number as a roman numeral (i, ii...)
+//      repeat.item.Roman   - returns the item number as an upper case roman numeral
+//      repeat.item.parent  - returns the meta information of the enclosing loop
+//      repeat.item.depth   - returns the level of recursion (see _recurse_)
+//
+//  Grouped listings are rendered with the `first(path)` and `last(path)` methods, 
+//  which tell if the item is the first or the last one of a group of consecutive
+//  items with the same value for the dotted path given. Without a path the items 
+//  themselves are compared.
+//
+//      <tr tal:repeat="order orders">
+//          <th tal:condition="repeat.order.first('month')">${order.month}</th>
+//          <td>${order.total}</td>
+//      </tr>
+//
 // 
+//  The items can be shaped with some clauses after the expression. `where` filters
+//  them, `order by` sorts them by one or more comma separated expressions followed
+//  by `asc` (the default) or `desc`, `offset` and `limit` take a slice of them and
+//  finally `chunk` groups them in lists of the given size. Strings are sorted 
+//  according to the language of the template.
+//
+//      repeat="item items where item.active order by item.date desc limit 10 offset 20"
+//      repeat="row cells chunk 3"
+//
+//  The pagination information is available in the meta data too, where _total_ is
+//  the number of items before slicing them.
+//
+//      repeat.item.total   - returns the number of items matched
+//      repeat.item.pages   - returns the number of pages of _limit_ items
+//      repeat.item.page    - returns the current page number (1 to pages)
+//
+//  The item can be destructured with a pattern like in _define_. The `(key, value)`
+//  pattern gets the key of the item too. In both cases the meta information is 
+//  available for the value variable, or the first one of the pattern.
+//
+//      <tr tal:repeat="(name, value) settings">
+//          <th>${name}</th><td>${value}</td><td>${repeat.value.number}</td>
+//      </tr>
+//      <li tal:repeat="{id, title = 'Untitled'} rows">${id}: ${title}</li>
+//
+//  When there are no items the element is removed and an _else_ processor in the
+//  next element is rendered instead.
+//
 //  One common use case of this processor is to populate a table with data
 //
 //      <table>
@@ -1468,7 +5787,9 @@ DomTal.prototype.processor('condition', DomTal.PRIO.VERYHIGH, DomTal.PROCTYPE.RE
 //      </table>
 //
 DomTal.prototype.processor('repeat', DomTal.PRIO.HIGH, DomTal.PROCTYPE.REPLACE, function(node, exp){
-    var data, meta, tales, item, value;
+    var count, recursion,
+        fragment = this.document.createDocumentFragment(),
+        tpl = node;
 
     // If we are in a loop then process its children only
     if (node.domtal_repeat) {
@@ -1476,70 +5797,291 @@ DomTal.prototype.processor('repeat', DomTal.PRIO.HIGH, DomTal.PROCTYPE.REPLACE,
         return true;
     }
 
-    // Parse the expression, an identifier followed by a tales expression
+    // Copies made by the recurse processor get the items from it
+    recursion = node.parentNode.domtal_recurse || null;
+    node.parentNode.domtal_recurse = null;
+
+    // Keep the template for the recurse processors in the repeated elements
+    setState(this, this.stack[this.stack.length-1], 'recurse', {node: tpl, depth: recursion ? recursion.depth : 0});
+
+    // Process the template for each one of the values
+    count = this.iterate(exp.item, recursion ? recursion.value : this.tales(exp.tales), exp, function(){
+        // Compiled templates build a new instance of the element instead
+        if (tpl.domtal_build) {
+            tpl.domtal_build(fragment, true);
+        } else {
+            node = tpl.cloneNode(true);
+            node.domtal_repeat = true;
+            fragment.appendChild(node);
+            this.process(node);
+        }
+    });
+
+    setOutcome(tpl, count > 0);
+
+    return fragment;
+}, parseRepeat);
+
+// Parses an identifier followed by a tales expression and the optional clauses
+function parseRepeat(exp) {
+    var clause, by, result;
+
     exp = new ExpressionParser(exp);
-    item = exp.ident();
-    tales = exp.tales();
+    result = {item: exp.pattern()};
+    if (result.item === null) {
+        throw new Error('Expected an identifier or a pattern at ' + exp.pos + ' in "' + exp + '"');
+    }
+    result.tales = exp.tales();
+
+    while ((clause = exp.rex(/^\s*(where|order\s+by|limit|offset|chunk)\s+/))) {
+        clause = clause.split(/\s/)[0];
+
+        if (clause === 'order') {
+            result.order = [];
+            do {
+                by = {tales: exp.tales()};
+                by.desc = exp.rex(/^\s*(asc|desc)\b\s*/) === 'desc';
+                result.order.push(by);
+            } while (by.tales && exp.str(','));
+        } else {
+            by = result[clause] = {tales: exp.tales()};
+        }
 
-    value = this.tales(tales);
+        if (!by.tales) {
+            throw new Error('Expected a tales expression at ' + exp.pos + ' in "' + exp + '"');
+        }
+    }
 
-    // Get the current data bucket from the stack
-    data = this.stack[ this.stack.length-1 ];
-    if (typeof data.repeat === 'undefined') {
-        data.repeat = {};
+    if (/\S/.test(exp.exp.substring(exp.pos))) {
+        throw new Error('Unexpected "' + trim(exp.exp.substring(exp.pos)) + '" in "' + exp + '"');
     }
 
-    var i, len,
-        values = [],
-        fragment = document.createDocumentFragment(),
-        tpl = node;
+    return result;
+}
 
-    // Preprocess the value to find how many items are there
-    if (Object.prototype.toString.call(value) === '[object Array]') {
-        len = value.length;
-        for (i=0; i<len; i++) {
-            values.push([i, value[i]]);
-        }
-    } else if ('each' in value && typeof value.each === 'function') {
-        len = 0;
-        value.each(function(v, k){
-            values.push([k, v]);
-            len++;
+// Checks if two items have the same value for the given dotted path, or if they
+// are the same when no path is given
+function sameGroup(a, b, path) {
+    var i, parts = path ? String(path).split('.') : [];
+
+    for (i=0; i<parts.length; i++) {
+        a = a === null || typeof a === 'undefined' ? a : a[parts[i]];
+        b = b === null || typeof b === 'undefined' ? b : b[parts[i]];
+    }
+
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+
+    return a === b;
+}
+
+// Obtains the letters for an index: a, b, ..., z, aa, ab...
+function letters(index) {
+    var result = '';
+
+    do {
+        result = String.fromCharCode(97 + index % 26) + result;
+        index = Math.floor(index / 26) - 1;
+    } while (index >= 0);
+
+    return result;
+}
+
+// Obtains the lower case roman numeral for a number
+function roman(num) {
+    var i, result = '',
+        values = [1000, 900, 500, 400, 100, 90, 50, 40, 10, 9, 5, 4, 1],
+        numerals = ['m', 'cm', 'd', 'cd', 'c', 'xc', 'l', 'xl', 'x', 'ix', 'v', 'iv', 'i'];
+
+    for (i=0; i<values.length; i++) {
+        while (num >= values[i]) {
+            result += numerals[i];
+            num -= values[i];
+        }
+    }
+
+    return result;
+}
+
+// Compares two values to sort them, strings according to the language given
+function compareValues(a, b, language) {
+    if (a === b) {
+        return 0;
+    } else if (a === null || typeof a === 'undefined') {
+        return 1;
+    } else if (b === null || typeof b === 'undefined') {
+        return -1;
+    } else if (typeof a === 'string' && typeof b === 'string') {
+        return language ? a.localeCompare(b, language) : a.localeCompare(b);
+    }
+
+    // Dates are compared by their time
+    a = a.valueOf();
+    b = b.valueOf();
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Filters, sorts, slices and chunks the items of an iterable (see `makeIterable`)
+// as told by the clauses of a repeat expression. The item variables are defined in
+// the current scope while evaluating them. The pagination information is added 
+// to the result.
+function applyClauses(dt, item, items, clauses) {
+    var i, j, cmp, entry,
+        data = dt.stack[dt.stack.length-1],
+        entries = [],
+        limit = clauses.limit ? parseInt(dt.tales(clauses.limit.tales), 10) : 0,
+        offset = clauses.offset ? parseInt(dt.tales(clauses.offset.tales), 10) || 0 : 0,
+        chunk = clauses.chunk ? parseInt(dt.tales(clauses.chunk.tales), 10) : 0,
+        result = {count: 0, keys: [], values: []};
+
+    for (i=0; i<items.count; i++) {
+        assignPattern(dt, data, item, items.values[i], items.keys[i]);
+        if (clauses.where && !dt.test(clauses.where.tales)) {
+            continue;
+        }
+
+        entry = {index: i, key: items.keys[i], value: items.values[i], order: []};
+        for (j=0; clauses.order && j<clauses.order.length; j++) {
+            entry.order.push(dt.tales(clauses.order[j].tales));
+        }
+        entries.push(entry);
+    }
+
+    // The index keeps the sort stable
+    if (clauses.order) {
+        entries.sort(function(a, b){
+            for (j=0; j<clauses.order.length; j++) {
+                cmp = compareValues(a.order[j], b.order[j], dt.language);
+                if (cmp) {
+                    return clauses.order[j].desc ? -cmp : cmp;
+                }
+            }
+            return a.index - b.index;
         });
-    } else {
-        len = 0;
-        for (i in value) if (value.hasOwnProperty(i)) {
-            values.push([i, value[i]]);
-            len++;
+    }
+
+    result.total = entries.length;
+    result.pages = limit > 0 ? Math.max(1, Math.ceil(entries.length / limit)) : 1;
+    result.page = limit > 0 ? Math.floor(offset / limit) + 1 : 1;
+
+    entries = entries.slice(offset, limit > 0 ? offset + limit : entries.length);
+
+    for (i=0; i<entries.length; i++) {
+        if (chunk > 0) {
+            if (i % chunk === 0) {
+                result.keys.push(result.count++);
+                result.values.push([]);
+            }
+            result.values[result.count-1].push(entries[i].value);
+        } else {
+            result.keys.push(entries[i].key);
+            result.values.push(entries[i].value);
+            result.count++;
         }
     }
 
-    // Initialize the meta data object
-    meta = data.repeat[item] = {
-        index: 0,       number: 1,
-        odd: false,     even: true,
-        start: true,    end: len === 0,
-        length: len
-    };
+    return result;
+}
 
-    // Process the template for each one of the values
-    for (i=0; i<len; i++) {
-        meta.key = values[i][0];
-        data[item] = values[i][1];
+// switch
+// ------
+//  Evaluates an expression whose value is compared with the _case_ processors of the 
+//  child elements. Only the first matching case is rendered, the `default` keyword
+//  can be used for a case matching when no other did.
+//
+//      <div tal:switch="user.role">
+//          <p tal:case="'admin'">Administrator</p>
+//          <p tal:case="'editor'">Editor</p>
+//          <p tal:case="default">Reader</p>
+//      </div>
+//
+//  It runs after _define_ and _repeat_, so with the latter it's evaluated for each 
+//  one of the repeated elements.
+//
+DomTal.prototype.processor('switch', DomTal.PRIO.HIGH, DomTal.PROCTYPE.DEFAULT, function(node, tales){
+    setState(this, this.stack[this.stack.length-1], 'switch', {value: this.tales(tales), matched: false});
+}, parseTales);
 
-        node = tpl.cloneNode(true);
-        node.domtal_repeat = true;
-        fragment.appendChild(node);
-        this.process(node);
+// case
+// ----
+//  Renders the element only if the value of the expression is the one of the nearest
+//  _switch_ and no previous case matched. Errors evaluating the expression are taken
+//  as not matching, like with _condition_. When used along _repeat_ it decides if the
+//  whole repetition is rendered.
+//
+DomTal.prototype.processor('case', DomTal.PRIO.VERYHIGH, DomTal.PROCTYPE.REPLACE, function(node, tales){
+    var value, state;
 
-        // update meta information
-        meta.index++;           meta.number++;
-        meta.odd = !meta.odd;   meta.even = !meta.even;
-        meta.start = false;     meta.end = meta.number === len;
+    // The case already matched before repeating the element
+    if (node.domtal_repeat) {
+        return true;
+    }
+
+    state = getState(this, 'switch');
+
+    if (!state) {
+        throw new Error('Found a case processor without an enclosing switch');
+    }
+
+    if (state.matched) {
+        return null;
+    }
+
+    try {
+        value = this.tales(tales);
+    } catch (e) {
+        return null;
+    }
+
+    if (value === DomTal.DEFAULT || value === state.value) {
+        state.matched = true;
+        return true;
+    }
+
+    return null;
+}, parseTales);
+
+// recurse
+// -------
+//  Repeats again the element of the nearest enclosing _repeat_ with the items of 
+//  the expression, replacing the element. It renders tree like data, like nested 
+//  comments or folders. The `depth` meta information of the repetition tells the 
+//  level of the recursion, which is limited by the _maxDepth_ option.
+//
+//      <ul>
+//          <li tal:repeat="folder folders">
+//              ${folder.name} (level ${repeat.folder.depth})
+//              <ul tal:condition="folder.children.length">
+//                  <li tal:recurse="folder.children"></li>
+//              </ul>
+//          </li>
+//      </ul>
+//
+DomTal.prototype.processor('recurse', DomTal.PRIO.HIGH, DomTal.PROCTYPE.REPLACE, function(node, tales){
+    var fragment = this.document.createDocumentFragment(),
+        state = getState(this, 'recurse');
+
+    if (!state) {
+        throw new Error('Found a recurse processor without an enclosing repeat');
+    }
+
+    if (state.depth + 1 > this.maxDepth) {
+        throw new Error('Maximum recursion depth of ' + this.maxDepth + ' exceeded in "' + tales.join(' | ') + '"');
+    }
+
+    fragment.domtal_recurse = {value: this.tales(tales), depth: state.depth + 1};
+
+    // Compiled templates build a new instance of the element instead
+    if (state.node.domtal_build) {
+        state.node.domtal_build(fragment);
+    } else {
+        fragment.appendChild(state.node.cloneNode(true));
+        this.process(fragment);
     }
 
     return fragment;
-});
+}, parseTales);
 
 // replace
 // -------
@@ -1550,14 +6092,9 @@ DomTal.prototype.processor('repeat', DomTal.PRIO.HIGH, DomTal.PROCTYPE.REPLACE,
 //        This text will be replaced by the contents of myvar
 //        even removing the span tag around it
 //      </span>
-//
-DomTal.prototype.processor('replace', DomTal.PRIO.ABOVE, DomTal.PROCTYPE.REPLACE, function(node, exp){
-    var tales, value;
-
-    exp = new ExpressionParser(exp);
-    tales = exp.tales();
-
-    value = this.tales(tales) || '';
+//
+DomTal.prototype.processor('replace', DomTal.PRIO.ABOVE, DomTal.PROCTYPE.REPLACE, function(node, tales){
+    var value = this.tales(tales) || '';
 
     if (value === DomTal.DEFAULT) {
         return true;
@@ -1569,13 +6106,13 @@ DomTal.prototype.processor('replace', DomTal.PRIO.ABOVE, DomTal.PROCTYPE.REPLACE
     } else if (value === DomTal.NOTHING) {
         return null;
     } else {
-        var text = document.createTextNode(value);
+        var text = this.document.createTextNode(value);
         node.parentNode.replaceChild(text, node);
         return text;
     }
 
     return true;
-});
+}, parseTales);
 
 // content
 // -------
@@ -1585,13 +6122,8 @@ DomTal.prototype.processor('replace', DomTal.PRIO.ABOVE, DomTal.PROCTYPE.REPLACE
 //        This text will be replaced by the contents of myvar
 //      </span>
 //
-DomTal.prototype.processor('content', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.CONTENT, function(node, exp){
-    var tales, value;
-
-    exp = new ExpressionParser(exp);
-    tales = exp.tales();
-
-    value = this.tales(tales);
+DomTal.prototype.processor('content', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.CONTENT, function(node, tales){
+    var value = this.tales(tales);
 
     if (value === DomTal.DEFAULT) {
         return true;
@@ -1599,7 +6131,7 @@ DomTal.prototype.processor('content', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.CONTE
 
     // check if we want to include a DOM Node
     if (value && typeof value.nodeType === 'number') {
-        node.innerHTML = '';
+        removeChildren(node);
         node.appendChild(value);
         return true;
     }
@@ -1613,7 +6145,7 @@ DomTal.prototype.processor('content', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.CONTE
     }
 
     return false;
-});
+}, parseTales);
 
 // attributes
 // ----------
@@ -1630,14 +6162,61 @@ DomTal.prototype.processor('content', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.CONTE
 //           This link will point to ${link.url} with red text over a yellow background
 //      </a>
 //
-DomTal.prototype.processor('attributes', DomTal.PRIO.LOW, DomTal.PROCTYPE.DEFAULT, function(node, exp){
-    var attr, tales, value;
+//  Prefixed attribute names are set in the namespace bound to the prefix, either
+//  declared in the template or one of the standard `xml`, `xmlns` and `xlink`.
+//
+//      <use tal:attributes="xlink:href '#' + icon" />
+//
+//  The _class_ attribute also accepts an object, whose keys are the class names to
+//  add if their value is true or to remove otherwise, or a list of class names to
+//  add. In both cases the classes already in the element are kept. In the same way 
+//  an object for the _style_ attribute sets, or removes if false, the properties in
+//  the inline style (see _css_).
+//
+//      <li class="item" tal:attributes="class {active: item.selected, disabled: !item.enabled};
+//                                       style {width: item.size + 'px'}">
+//
+//  Finally, the attributes in an object can be applied all at once prefixing its 
+//  expression with `...`. The _data_ key of the object can hold another one with
+//  the values of the `data-*` attributes, camel cased names are dashed and objects
+//  are converted to JSON.
+//
+//      <a tal:attributes="...link.attrs; title link.title">
+//      <div tal:attributes="...{id: 'user', data: {userId: user.id}}">
+//
+DomTal.prototype.processor('attributes', DomTal.PRIO.LOW, DomTal.PROCTYPE.DEFAULT, function(node, attrs){
+    var i, k, value;
+
+    for (i=0; i<attrs.length; i++) {
+        value = this.tales(attrs[i].tales);
+
+        if (attrs[i].name !== '...') {
+            applyAttribute(node, attrs[i].name, value);
+            continue;
+        }
+
+        // Spread the attributes of an object
+        if (value === DomTal.NOTHING || value === DomTal.DEFAULT || value === null || typeof value !== 'object') {
+            continue;
+        }
+        for (k in value) if (value.hasOwnProperty(k)) {
+            if (k === 'data' && value[k] !== null && typeof value[k] === 'object') {
+                applyData(node, value[k]);
+            } else {
+                applyAttribute(node, k, value[k]);
+            }
+        }
+    }
+
+    return true;
+}, function(exp){
+    var attr, tales, attrs = [];
 
     exp = new ExpressionParser(exp);
 
     do {
 
-        attr = exp.rex(/^\s*([a-z][a-z0-9_:-]*)/i);
+        attr = exp.str('...') || exp.rex(/^\s*([a-z][a-z0-9_:-]*)/i);
         if (null === attr)
             throw new Error('Expected attribute name at ' + exp.pos + ' in "' + exp.exp + '"');
 
@@ -1649,24 +6228,11 @@ DomTal.prototype.processor('attributes', DomTal.PRIO.LOW, DomTal.PROCTYPE.DEFAUL
         if (null === tales)
             throw new Error('Expected tales expression at ' + exp.pos + ' in "' + exp.exp + '"');
 
-        // Work around IE bug (http://webbugtrack.blogspot.com/2007/11/bug-299-setattribute-checked-does-not.html)
-        if (isIE && attr.toLowerCase() === 'checked') {
-            attr = 'defaultChecked';
-        }
-
-        value = this.tales(tales);
-
-        if (value === true) {
-            node.setAttribute(attr, attr);
-        } else if (value === false || value === DomTal.NOTHING) {
-            node.removeAttribute(attr);
-        } else if (value !== DomTal.DEFAULT) {
-            node.setAttribute(attr, value);
-        }
+        attrs.push({name: attr, tales: tales});
 
     } while( exp.str(';') || exp.str(',') );
 
-    return true;
+    return attrs;
 });
 
 
@@ -1680,28 +6246,16 @@ DomTal.prototype.processor('attributes', DomTal.PRIO.LOW, DomTal.PROCTYPE.DEFAUL
 //          tag surrounding it
 //      </span>
 //
-DomTal.prototype.processor('omit-tag', DomTal.PRIO.VERYLOW, DomTal.PROCTYPE.REPLACE, function(node, exp){
-    var tales, value;
-
-    exp = new ExpressionParser(exp);
-    tales = exp.tales();
-    value = tales ? this.tales(tales) : true;
+DomTal.prototype.processor('omit-tag', DomTal.PRIO.VERYLOW, DomTal.PROCTYPE.REPLACE, function(node, tales){
+    var value = tales ? this.tales(tales) : true;
 
     if (!value) {
         return true;
     }
 
     // Move the children to a fragment so we can replace this node with them
-    value = document.createDocumentFragment();
-    while (node.firstChild) {
-        value.appendChild(node.firstChild);
-    }
-
-    // Process the child nodes
-    this.process(value);
-
-    return value;
-});
+    return this.contents(node);
+}, parseTales);
 
 // template
 // --------
@@ -1719,40 +6273,164 @@ DomTal.prototype.processor('omit-tag', DomTal.PRIO.VERYLOW, DomTal.PROCTYPE.REPL
 //
 //      <span tal:template="#my-template-id"></span>
 //
+//  Templates registered in `DomTal.templates` are included by their name.
+//
+//      <div tal:template="partials/user-card"></div>
+//
+//  The template is rendered with the current scope, unless some parameters are given
+//  after the `with` keyword, in which case it only sees them. The rendered children 
+//  of the element are available in the template as the `slot` fragment, except the
+//  ones marked with the _slot_ processor, which go to `slots.<name>`. They are only
+//  rendered if the template uses them, getting a new copy each time.
+//
+//      <li tal:repeat="row rows" tal:template="#card with item=row, compact=true">
+//          <b>${row.title}</b>
+//      </li>
+//
+//      <div id="card" tal:attributes="class {compact: compact}">
+//          <span tal:replace="slot"></span> ${item.date}
+//      </div>
+//
 DomTal.prototype.processor('template', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.REPLACE, function(node, exp){
-    var tales, value;
-
-    exp = new DomTal.ExpressionParser(exp);
-    tales = exp.tales();
-    if (tales && tales[0].charAt(0) === '#') {
+    var i, value, slot, slots,
+        dt = this,
+        tales = exp.tales, 
+        stack = this.stack,
+        frame = stack[stack.length-1],
+        scope = {};
+
+    if (tales && (tales[0].charAt(0) === '#' || isTemplateName(tales[0]))) {
         value = tales[0];
     } else {
         value = this.tales(tales);
     }
 
-    if (!value) {
-        throw new Error('Unable to obtain template to use from expression "' + exp + '"');
+    for (i=0; exp.params && i<exp.params.length; i++) {
+        scope[exp.params[i].name] = this.tales(exp.params[i].tales);
     }
 
-    value = load(value);
-    if (!value) {
-        throw new Error('Unable to parse template defined by expression "' + exp + '"');
+    // The children are rendered in the current scope, collecting the named slots,
+    // just if the template uses them
+    function render() {
+        var current = dt.stack;
+        if (slots) return;
+
+        slots = {};
+        dt.stack = stack;
+        setState(dt, frame, 'slots', slots);
+        try {
+            slot = dt.contents(node);
+        } finally {
+            setState(dt, frame, 'slots', null);
+            dt.stack = current;
+        }
     }
 
-    this.process(value);
-    return value;
+    // A copy is given on each use since the nodes are moved when inserted
+    scope.slot = new LazyValue(function(){
+        render();
+        return slot.cloneNode(true);
+    });
+    scope.slots = new LazyValue(function(){
+        var name, copy = {};
+        render();
+        for (name in slots) if (slots.hasOwnProperty(name)) {
+            copy[name] = slots[name].cloneNode(true);
+        }
+        return copy;
+    });
+
+    // With parameters the template only sees them, not the current scope
+    this.stack = exp.params ? [scope] : stack.concat([scope]);
+    try {
+        return include(this, value, exp.exp);
+    } finally {
+        this.stack = stack;
+    }
+}, function(exp){
+    var name, tales, params = null,
+        parser = new ExpressionParser(exp);
+
+    tales = parser.tales();
+
+    if (parser.rex(/^\s*with\s+/)) {
+        params = [];
+        do {
+            name = parser.ident();
+            if (null === name)
+                throw new Error('Expected parameter name at ' + parser.pos + ' in "' + exp + '"');
+
+            parser.str(':');
+            parser.str('=');
+
+            params.push({name: name, tales: parser.tales()});
+            if (null === params[params.length-1].tales)
+                throw new Error('Expected tales expression at ' + parser.pos + ' in "' + exp + '"');
+
+        } while (parser.str(',') || parser.str(';'));
+    }
+
+    return {exp: exp, tales: tales, params: params};
+});
+
+// slot
+// ----
+//  Renders the element as a named slot for the template included by the parent
+//  element (see _template_), which gets it in `slots.<name>`. Several elements can 
+//  fill the same slot. Outside the children of an element with a template it's 
+//  rendered as usual. Since it renders the element by itself it's not compiled.
+//
+//      <div tal:template="#card with title=user.name">
+//          <p>${user.bio}</p>
+//          <a tal:slot="footer" href="${user.url}">Profile</a>
+//      </div>
+//
+DomTal.prototype.processor('slot', DomTal.PRIO.MAX - 1, DomTal.PROCTYPE.REPLACE, function(node, name){
+    var copy, slots,
+        fragment = this.document.createDocumentFragment();
+
+    // Only the slots for the nearest template are collected
+    slots = getState(this, 'slots');
+
+    if (!slots) {
+        return true;
+    }
+
+    name = trim(name);
+    copy = node.cloneNode(true);
+    copy.removeAttributeNode(processorLookup(this, copy)('slot'));
+    fragment.appendChild(copy);
+    this.process(fragment);
+
+    if (slots.hasOwnProperty(name)) {
+        slots[name].appendChild(fragment);
+    } else {
+        slots[name] = fragment;
+    }
+
+    return null;
 });
 
 // css 
 // ---
-//  Applies the properties to the style of the node
+//  Applies the properties to the style of the node. Properties evaluating to false,
+//  null or _nothing_ are removed from it.
 //
 //      <span tal:css="color: 'red', font-weight: cfg.font"></span>
 //
-DomTal.prototype.processor('css', DomTal.PRIO.AVERAGE, function(node, exp){
-    var prop, tales;
+DomTal.prototype.processor('css', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.DEFAULT, function(node, props){
+    var i, prop, value;
+
+    for (i=0; i<props.length; i++) {
+        prop = props[i].prop;
+        value = this.tales(props[i].tales);
+
+        applyStyle(node, prop, value);
+    }
+}, function(exp){
+    var prop, tales, props = [];
 
-    exp = new DomTal.ExpressionParser(exp);
+    exp = new ExpressionParser(exp);
 
     do {
         prop = exp.rex(/^\s*([\w-]+)/i);
@@ -1765,11 +6443,415 @@ DomTal.prototype.processor('css', DomTal.PRIO.AVERAGE, function(node, exp){
         if (null === tales)
             throw new Error('Expected tales expression at ' + exp.pos + ' in "' + exp + '"');
 
-        node.style[prop] = this.tales(tales);
+        props.push({prop: prop, tales: tales});
 
     } while( exp.str(';') || exp.str(',') );
+
+    return props;
+});
+
+
+// on-error
+// --------
+//  Catches the errors raised while rendering the element, including its children,
+//  replacing its contents with the result of the expression. The error is available
+//  in the `error` variable with its _type_, _message_ and the original _value_.
+//  The element is kept with its plain attributes, while errors raised by the 
+//  expression itself are handled by the enclosing elements.
+//
+//      <li tal:repeat="user users" tal:on-error="'Unable to show ' + error.message">
+//          <a href="${user.profile.url}" tal:content="user.profile.name"></a>
+//      </li>
+//
+//  Along _repeat_ each one of the repeated elements handles its own errors. Since
+//  it renders the element by itself it's not compiled (see `compile`).
+//
+DomTal.prototype.processor('on-error', DomTal.PRIO.MAX - 1, DomTal.PROCTYPE.REPLACE, function(node, exp){
+    var attr, copy, value, el, i,
+        lookup = processorLookup(this, node),
+        fragment = this.document.createDocumentFragment(),
+        depth = this.stack.length,
+        branch = lookup('condition') || lookup('elif') || lookup('else') || lookup('repeat');
+
+    // Wait for the repeat to clone the element
+    if (!node.domtal_repeat && lookup('repeat')) {
+        return true;
+    }
+
+    // Render the element here so its errors can be catched
+    copy = node.cloneNode(true);
+    copy.removeAttributeNode(processorLookup(this, copy)('on-error'));
+    copy.domtal_repeat = node.domtal_repeat;
+    copy.domtal_else = node.domtal_else;
+    fragment.appendChild(copy);
+
+    try {
+        this.process(fragment);
+        // The outcome of a condition goes to the siblings of the element
+        if (typeof fragment.domtal_outcome !== 'undefined') {
+            setOutcome(node, fragment.domtal_outcome);
+        }
+        return fragment;
+    } catch (e) {
+        this.stack.length = depth;
+        value = e;
+    }
+
+    // The error is shown instead of the branch, so the next ones are skipped
+    if (branch) {
+        setOutcome(node, true);
+    }
+
+    this.stack.push({error: {
+        type: value && value.name || 'Error',
+        message: value && value.message || String(value),
+        value: value
+    }});
+    value = this.tales(parseTales(exp));
+    this.stack.pop();
+
+    // The original element without its processors
+    el = node.cloneNode(false);
+    lookup = processorLookup(this, el);
+    this.processors.each(function(processor){
+        attr = lookup(processor.procname);
+        if (attr) {
+            el.removeAttributeNode(attr);
+        }
+    });
+
+    i = el.attributes.length;
+    while (i--) {
+        attr = el.attributes[i];
+        if (-1 !== attr.value.indexOf('${')) {
+            try {
+                attr.value = this.interpolate(attr.value);
+            } catch (e) {
+                el.removeAttributeNode(attr);
+            }
+        }
+    }
+
+    if (value && typeof value.nodeType === 'number') {
+        el.appendChild(value);
+    } else if (value !== DomTal.NOTHING && value !== DomTal.DEFAULT && value !== null && typeof value !== 'undefined') {
+        el.appendChild(this.document.createTextNode(value));
+    }
+
+    fragment = this.document.createDocumentFragment();
+    fragment.appendChild(el);
+    return fragment;
+});
+
+
+// Metal
+// =====
+//  The Metal statements allow to reuse parts of the templates, called macros, filling
+//  the holes they define, called slots, with our own content. They follow the Zope 
+//  semantics, using their own prefix (`metal:` by default, see the _metal_ option) 
+//  or namespace in xml mode.
+//
+//      <html metal:define-macro="page">
+//          <h1 metal:define-slot="title">Default title</h1>
+//      </html>
+//
+//      <html metal:use-macro="page">
+//          <h1 metal:fill-slot="title" tal:content="doc.title"></h1>
+//      </html>
+//
+//  The macros defined in any loaded template, or in a template registered in 
+//  `DomTal.templates` once used, are available by their name. A macro of a specific
+//  registered template can be referenced as `<template name>/macros/<macro name>`.
+//  Macros in compiled templates can't be used.
+
+// define-macro
+// ------------
+//  Defines a macro with the element, which is rendered as usual in its template.
+//
+DomTal.prototype.processor('metal:define-macro', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, function(node, name){
+}, trim);
+
+// use-macro
+// ---------
+//  Replaces the element with a macro, filling its slots with the elements of this
+//  one defining them. The macro is rendered in the current scope.
+//
+//      <div metal:use-macro="layouts/main/macros/sidebar">
+//          <ul metal:fill-slot="links">...</ul>
+//      </div>
+//
+function useMacro(node, exp) {
+    var macro,
+        fragment = this.document.createDocumentFragment();
+
+    enterMacro(this, exp);
+    try {
+        macro = expandMacro(this, resolveMacro(this, exp));
+        fillSlots(this, macro, node);
+
+        fragment.appendChild(macro);
+        this.process(fragment);
+    } finally {
+        this.depth--;
+    }
+
+    return fragment;
+}
+
+DomTal.prototype.processor('metal:use-macro', DomTal.PRIO.ABOVE, DomTal.PROCTYPE.REPLACE, useMacro);
+
+// extend-macro
+// ------------
+//  Used along _define-macro_ to define a macro based on another one, with the 
+//  slots it fills. The slots defined inside them can be filled by the users of
+//  the new macro. In its template the element is rendered like with _use-macro_.
+//
+//      <html metal:define-macro="admin" metal:extend-macro="page">
+//          <div metal:fill-slot="body"><nav/><div metal:define-slot="body"/></div>
+//      </html>
+//
+DomTal.prototype.processor('metal:extend-macro', DomTal.PRIO.ABOVE, DomTal.PROCTYPE.REPLACE, function(node, exp){
+    return useMacro.call(this, node, exp);
+});
+
+// define-slot
+// -----------
+//  Defines a slot in a macro, rendered with its own contents when not filled.
+//
+DomTal.prototype.processor('metal:define-slot', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, function(node, name){
+}, trim);
+
+// fill-slot
+// ---------
+//  Fills a slot of the macro used by an ancestor element.
+//
+DomTal.prototype.processor('metal:fill-slot', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, function(node, name){
+}, trim);
+
+
+// I18n
+// ====
+//  The I18n statements translate the texts of the templates with a messages catalog
+//  (see `DomTal.Catalog`), following the Zope semantics. The language is given by the
+//  _language_ option and the catalog by the _catalog_ one, which default to 
+//  `DomTal.language` and `DomTal.catalog`. Without a language nothing is translated.
+//
+//      <p i18n:domain="shop" i18n:translate="">
+//          Hello <b i18n:name="user" tal:content="user.name"></b>, welcome back!
+//      </p>
+//
+//  Messages are identified by their text, with the white space normalized and the
+//  named elements as `${name}` placeholders (ie: `Hello ${user}, welcome back!`),
+//  unless a message id is given. Translations can also use the tales expressions
+//  found in the text. The `extract` method collects the messages of a template.
+
+// Obtains the text of an element as a message, with the named elements replaced by
+// placeholders. Other elements are kept as markup.
+function messageText(dt, node) {
+    var child, attr,
+        out = [],
+        names = {},
+        markup = false;
+
+    for (child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 3) {
+            out.push(child.nodeValue);
+        } else if (child.nodeType === 1) {
+            attr = i18nAttr(dt, child, 'name');
+            if (attr) {
+                names[ trim(attr.value) ] = child;
+                out.push('${' + trim(attr.value) + '}');
+            } else {
+                markup = true;
+                out.push(serialize(child, {format: dt.xml ? 'xhtml' : 'html'}));
+            }
+        }
+    }
+
+    return {text: trim(out.join('').replace(/\s+/g, ' ')), names: names, markup: markup};
+}
+
+// Replaces the placeholders of the named elements found in the text nodes. Other
+// placeholders are kept to be interpolated as tales expressions.
+function fillNames(doc, node, names) {
+    var i, child, next, parts, fragment,
+        used = {};
+
+    for (child = node.firstChild; child; child = next) {
+        next = child.nextSibling;
+
+        if (child.nodeType === 1) {
+            fillNames(doc, child, names);
+            continue;
+        } else if (child.nodeType !== 3 || -1 === child.nodeValue.indexOf('${')) {
+            continue;
+        }
+
+        parts = child.nodeValue.split(/\$\{\s*([\w-]+)\s*\}/);
+        fragment = doc.createDocumentFragment();
+        for (i=0; i<parts.length; i++) {
+            if (i % 2 === 0) {
+                if (parts[i]) {
+                    fragment.appendChild(doc.createTextNode(parts[i]));
+                }
+            } else if (names.hasOwnProperty(parts[i])) {
+                fragment.appendChild(used[parts[i]] ? names[parts[i]].cloneNode(true) : names[parts[i]]);
+                used[parts[i]] = true;
+            } else {
+                fragment.appendChild(doc.createTextNode('${' + parts[i] + '}'));
+            }
+        }
+        node.replaceChild(fragment, child);
+    }
+}
+
+// Parses the list of attributes to translate with their optional message ids
+function parseI18nAttributes(exp) {
+    var i, m, parts = exp.split(';'), attrs = [];
+
+    for (i=0; i<parts.length; i++) {
+        if (!/\S/.test(parts[i])) {
+            continue;
+        }
+
+        m = /^\s*([\w:.-]+)(?:\s+(.+?))?\s*$/.exec(parts[i]);
+        if (!m) {
+            throw new Error('Expected attribute name in "' + exp + '"');
+        }
+        attrs.push({name: m[1], msgid: m[2] || null});
+    }
+
+    return attrs;
+}
+
+// Collects the messages of the template nodes by domain
+function extractMessages(dt, node, domain, out) {
+    var i, child, attr, msg, attrs, value;
+
+    function add(domain, msgid, text) {
+        out[domain] = out[domain] || {};
+        if (!out[domain].hasOwnProperty(msgid)) {
+            out[domain][msgid] = text;
+        }
+    }
+
+    for (child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType !== 1) {
+            continue;
+        }
+
+        attr = i18nAttr(dt, child, 'domain');
+        msg = attr ? trim(attr.value) : domain;
+
+        attr = i18nAttr(dt, child, 'translate');
+        if (attr) {
+            value = messageText(dt, child).text;
+            add(msg, trim(attr.value) || value, value);
+        }
+
+        attr = i18nAttr(dt, child, 'attributes');
+        if (attr) {
+            attrs = parseI18nAttributes(attr.value);
+            for (i=0; i<attrs.length; i++) {
+                value = child.getAttribute(attrs[i].name);
+                if (value !== null || attrs[i].msgid) {
+                    add(msg, attrs[i].msgid || value, value || '');
+                }
+            }
+        }
+
+        extractMessages(dt, child, msg, out);
+    }
+}
+
+// domain
+// ------
+//  Sets the domain of the messages for the element and its children
+//
+//      <div i18n:domain="checkout">...</div>
+//
+DomTal.prototype.processor('i18n:domain', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, function(node, domain){
+    this.stack[this.stack.length-1]['i18n:domain'] = domain;
+}, trim);
+
+// source
+// ------
+//  Sets the language of the texts for the element and its children, they aren't
+//  translated when it's the one of the instance.
+//
+DomTal.prototype.processor('i18n:source', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, function(node, language){
+    this.stack[this.stack.length-1]['i18n:source'] = language;
+}, trim);
+
+// name
+// ----
+//  Names an element inside a translated one, so it's a placeholder in the message
+//
+DomTal.prototype.processor('i18n:name', DomTal.PRIO.MAX, DomTal.PROCTYPE.DEFAULT, function(node, name){
+}, trim);
+
+// plural
+// ------
+//  Sets the number used to choose the plural form of the messages of the element
+//
+//      <p i18n:translate="items-in-cart" i18n:plural="cart.length">${cart.length} items</p>
+//
+DomTal.prototype.processor('i18n:plural', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.DEFAULT, function(node, tales){
+    node.domtal_count = Number(this.tales(tales));
+}, parseTales);
+
+// translate
+// ---------
+//  Translates the contents of the element, using the given message id or its text.
+//  When there is no translation the contents are kept. Since it needs the template
+//  nodes of the contents it's not compiled (see `compile`).
+//
+//      <h1 i18n:translate="">Welcome</h1>
+//      <p i18n:translate="terms-notice">By continuing you accept the terms</p>
+//
+DomTal.prototype.processor('i18n:translate', DomTal.PRIO.AVERAGE, DomTal.PROCTYPE.CONTENT, function(node, msgid){
+    var fragment,
+        msg = messageText(this, node),
+        translation = this.translate(trim(msgid) || msg.text, node.domtal_count);
+
+    if (translation === null || typeof translation === 'undefined') {
+        return true;
+    }
+
+    if (msg.markup && translation) {
+        fragment = load(String(translation), this.document, parserOptions(this));
+    } else {
+        fragment = this.document.createDocumentFragment();
+        fragment.appendChild(this.document.createTextNode(translation));
+    }
+    fillNames(this.document, fragment, msg.names);
+
+    removeChildren(node);
+    node.appendChild(fragment);
 });
 
+// attributes
+// ----------
+//  Translates the values of the given attributes, optionally with a message id
+//
+//      <img alt="Company logo" title="Home" i18n:attributes="alt; title home-link" />
+//
+DomTal.prototype.processor('i18n:attributes', DomTal.PRIO.LOW, DomTal.PROCTYPE.DEFAULT, function(node, attrs){
+    var i, value, translation;
+
+    for (i=0; i<attrs.length; i++) {
+        value = node.getAttribute(attrs[i].name);
+        if (value === null && !attrs[i].msgid) {
+            continue;
+        }
+
+        translation = this.translate(attrs[i].msgid || value, node.domtal_count);
+        if (translation !== null && typeof translation !== 'undefined') {
+            node.setAttribute(attrs[i].name, translation);
+        }
+    }
+}, parseI18nAttributes);
+
 
 // -----------------------------------------------------------------------
 
@@ -1897,7 +6979,7 @@ DomTal.prototype.modifiers = {
         function compile(exp){
             var quoted = false, backslash = false, dot = false;
 
-            return exp.replace(rex, function(m0, ch, ident){
+            return exp.replace(rex, function(m0, ch, ident, ofs){
                 if (ch) {
                     switch (ch) {
                     case '\\':
@@ -1924,6 +7006,12 @@ DomTal.prototype.modifiers = {
                         return ident;
                     }
 
+                    // Keys in object literals (ie: `{active: selected}`) are kept as is
+                    if (/[{,]\s*$/.test(exp.substring(0, ofs)) && /^\s*:/.test(exp.substring(ofs + ident.length))) {
+                        backslash = false;
+                        return ident;
+                    }
+
                     backslash = dot = false;
                     return "(THIS.get('" + ident + "', THIS.env['" + ident + "']))";
                 }
@@ -1973,7 +7061,7 @@ DomTal.prototype.modifiers = {
         value = this.tales([exp]);
 
         if (typeof value === 'string') {
-            return stringToDom(value);
+            return stringToDom(value, this.document, parserOptions(this));
         }
 
         return value;
@@ -2060,36 +7148,25 @@ DomTal.prototype.modifiers = {
         return isNaN(value) ? 0.0 : value;
     },
 
-    // tpl: [ _#id_ | _tales_ ]
-    // ------------------------
+    // tpl: [ _#id_ | _name_ | _tales_ ]
+    // ---------------------------------
     //  Parse the given template returning the result. It uses the same logic as the `template`
     //  processor however this modifier allows to use nested templates with common tal processors 
     //  like `replace` or `content`.
     //
     //      <br tal:replace="tpl: #my-template" />
+    //      <br tal:replace="tpl: partials/user-card" />
     //
     tpl: function DomTal_modifiers_tpl(exp){
         var value;
 
         value = exp.replace(/^\s+/,'').replace(/\s+$/,'');
 
-        if (value.charAt(0) !== '#') {
+        if (value.charAt(0) !== '#' && !isTemplateName(value)) {
             value = this.tales([value]);
         }
 
-        if (!value) {
-            throw new Error('Unable to determine template from expression "' + exp + '"');
-        }
-
-        value = load(value);
-        if (!value) {
-            throw new Error('Unable to parse template from expression "' + exp + '"');
-        }
-
-        // Process the template nodes
-        this.process(value);
-
-        return value;
+        return include(this, value, exp);
     }
 };
 
@@ -2099,6 +7176,53 @@ DomTal.prototype.modifiers = {
 
 exports.DomTal = DomTal;
 exports.DomTal.ExpressionParser = ExpressionParser;
+exports.DomTal.VirtualDocument = VirtualDocument;
+exports.DomTal.WorkerRenderer = WorkerRenderer;
+exports.DomTal.Catalog = Catalog;
+
+// Obtains the script element loading DomTal, while it runs it's the last one of the page
+function loadingScript() {
+    var scripts;
+
+    if (typeof document === 'undefined' || !document.getElementsByTagName) {
+        return null;
+    }
+    if (document.currentScript) {
+        return document.currentScript;
+    }
+
+    scripts = document.getElementsByTagName('script');
+    return scripts[scripts.length - 1] || null;
+}
+
+var script = loadingScript();
+
+// Scan the page once loaded if asked to
+function autoScan() {
+    var callback = DomTal.autoScan;
+
+    if (!callback && script && script.getAttribute('data-domtal-autoscan') !== null) {
+        callback = true;
+    }
+
+    if (callback) {
+        scan(document, function(err){
+            if (typeof callback === 'function') {
+                callback(err);
+            } else if (err) {
+                throw err;
+            }
+        });
+    }
+}
+
+if (typeof document !== 'undefined' && document.addEventListener) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoScan, false);
+    } else {
+        setTimeout(autoScan, 0);
+    }
+}
 
 
-})(typeof exports !== 'undefined' ? exports : window);
+})(typeof exports !== 'undefined' ? exports : this);
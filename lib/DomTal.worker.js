@@ -0,0 +1,80 @@
+// DomTal worker
+// =============
+//  Script to run in a Web Worker, or a NodeJS worker thread, rendering the templates
+//  sent by `DomTal.WorkerRenderer`. The templates are evaluated against a virtual
+//  document and the result is posted back as a list of DOM operations.
+//
+//      var renderer = new DomTal.WorkerRenderer(new Worker('lib/DomTal.worker.js'));
+//
+//  The messages have the form `{id, template, data, options}` and are replied
+//  with `{id, operations}`, or `{id, error}` if the rendering failed.
+//
+(function() { "use strict";
+
+var DomTal, port,
+    templates = {},
+    cached = 0,
+    // Templates kept compiled, once reached the cache is emptied
+    maxTemplates = 100;
+
+if (typeof importScripts === 'function') {
+    importScripts('DomTal.js');
+    DomTal = self.DomTal;
+    port = self;
+} else {
+    DomTal = require('./DomTal.js').DomTal;
+    port = require('worker_threads').parentPort;
+}
+
+// Renders a template returning the list of operations to build the result. The
+// templates are compiled the first time they are used, keeping up to `maxTemplates`.
+function render(msg) {
+    var k, opts,
+        key = JSON.stringify(msg.options) + msg.template,
+        tpl = templates.hasOwnProperty(key) ? templates[key] : null;
+
+    if (!tpl) {
+        opts = {};
+        for (k in msg.options) if (msg.options.hasOwnProperty(k)) {
+            opts[k] = msg.options[k];
+        }
+        opts.backend = 'string';
+
+        tpl = new DomTal(msg.template, null, opts);
+        tpl.compile();
+
+        if (cached >= maxTemplates) {
+            templates = {};
+            cached = 0;
+        }
+        templates[key] = tpl;
+        cached++;
+    }
+
+    return DomTal.operations( tpl.run(msg.data) );
+}
+
+function receive(msg) {
+    var reply = {id: msg.id};
+
+    try {
+        reply.operations = render(msg);
+    } catch (e) {
+        reply.error = e.message;
+    }
+
+    port.postMessage(reply);
+}
+
+// Nothing to do if not loaded in a worker
+if (!port) {
+    return;
+}
+
+if (typeof port.on === 'function') {
+    port.on('message', receive);
+} else {
+    port.addEventListener('message', function(e){ receive(e.data); });
+}
+
+})();
@@ -36,6 +36,736 @@ describe('DomTal', function(){
             var dom = tal.run();
             $expect(dom).toHaveHtml('<div>foo</div>');
         });
+
+        it('should load a template from a template element', function(){
+            var el = document.createElement('template');
+            el.innerHTML = '<p tal:content="foo"/>';
+
+            var tal = new DomTal(el);
+            $expect(tal.run({foo: 'Foo'})).toHaveHtml('<p>Foo</p>');
+        });
+    });
+
+    describe('Parsing', function(){
+        function parse(html){
+            return DomTal.serialize(DomTal.load(html).tpl);
+        }
+
+        function parseWarnings(html){
+            var warnings = [];
+            new DomTal(html, null, {warn: function(err){ warnings.push(err); }});
+            return warnings;
+        }
+
+        it('should parse table parts without a container', function(){
+            expect(parse('<thead><tr><th>a</th></tr></thead>')).toBe('<thead><tr><th>a</th></tr></thead>');
+            expect(parse('<col span="2"><caption>c</caption>')).toBe('<col span="2"><caption>c</caption>');
+            expect(parse('<option value="1">one</option>')).toBe('<option value="1">one</option>');
+        });
+
+        it('should accept the short syntax for any element', function(){
+            expect(parse('<tal:block replace="foo"/><span/>bar')).toBe('<tal:block replace="foo"></tal:block><span></span>bar');
+        });
+
+        it('should close elements with optional end tags', function(){
+            expect(parse('<ul><li>a<li>b</ul>')).toBe('<ul><li>a</li><li>b</li></ul>');
+            expect(parse('<p>a<div>b</div>')).toBe('<p>a</p><div>b</div>');
+        });
+
+        it('should decode character references', function(){
+            expect(parse('<a title="&quot;&#65;">&lt;&#x42;&unknown; & c</a>'))
+                .toBe('<a title="&quot;A">&lt;B&amp;unknown; &amp; c</a>');
+            expect(parse('<p>Caf&eacute; &auml;&hearts;&#x1F600;</p>'))
+                .toBe('<p>Caf\u00e9 \u00e4\u2665\ud83d\ude00</p>');
+        });
+
+        it('should replace invalid code points', function(){
+            expect(parse('<p>&#99999999;|&#0;|&#xD800;|&#x10FFFF;</p>'))
+                .toBe('<p>\ufffd|\ufffd|\ufffd|\udbff\udfff</p>');
+        });
+
+        it('should decode the legacy references without a semicolon', function(){
+            expect(parse('<p>&lt &amp &copy 2 &notin; &notit &foo</p>'))
+                .toBe('<p>&lt; &amp; \u00a9 2 \u2209 \u00acit &amp;foo</p>');
+            expect(parse('<a title="&lt" href="?a=1&copy=2&ampx">x</a>'))
+                .toBe('<a title="&lt;" href="?a=1&amp;copy=2&amp;ampx">x</a>');
+        });
+
+        it('should accept equal signs in unquoted attribute values', function(){
+            expect(parse('<a href=/x?a=1&b=2 title=a=b>x</a>')).toBe('<a href="/x?a=1&amp;b=2" title="a=b">x</a>');
+        });
+
+        it('should keep raw text elements verbatim', function(){
+            expect(parse('<script>if (a<b) {}</script>')).toBe('<script>if (a<b) {}</script>');
+        });
+
+        it('should warn about malformed markup with its position', function(){
+            var warnings = parseWarnings('<div>\n  <span>foo</div>');
+            expect(warnings.length).toBe(1);
+            expect(warnings[0].message).toMatch(/<span>/);
+            expect(warnings[0].line).toBe(2);
+            expect(warnings[0].column).toBe(3);
+
+            warnings = parseWarnings('<p>\n<a href="foo>bar</a>');
+            expect(warnings[0].message).toMatch(/Unterminated/);
+            expect(warnings[0].line).toBe(2);
+
+            warnings = parseWarnings('<div></span>');
+            expect(warnings[0].message).toMatch(/<\/span>/);
+            expect(warnings[0].column).toBe(6);
+
+            expect(parseWarnings('<p>a<br></br><input></input></p>')).toEqual([]);
+        });
+
+        it('should recover from malformed markup like html5', function(){
+            var warn = DomTal.warn;
+            DomTal.warn = function(){};
+            try {
+                expect(parse('<div><span>a</div>b')).toBe('<div><span>a</span></div>b');
+                expect(parse('<input></input><br></br>')).toBe('<input><br>');
+                expect(parse('<p>a</span>b</p>')).toBe('<p>ab</p>');
+                expect(parse('<p><b>a<i>b</p>')).toBe('<p><b>a<i>b</i></b></p>');
+                expect(parse('<div><!-- a')).toBe('<div><!-- a--></div>');
+            } finally {
+                DomTal.warn = warn;
+            }
+        });
+
+        it('should keep the position of the nodes if asked to', function(){
+            var tpl = new DomTal('<div>\n  <p tal:content="foo">${bar}</p></div>', null, {lines: true}).tpl,
+                p = tpl.firstChild.childNodes[1];
+            expect(p.domtal_position).toEqual({line: 2, column: 3});
+            expect(p.getAttributeNode('tal:content').domtal_position).toEqual({line: 2, column: 6});
+            expect(p.firstChild.domtal_position).toEqual({line: 2, column: 24});
+        });
+
+        it('should split the interpolated texts', function(){
+            expect(DomTal.parseInterpolation('a ${foo} b ${bar | default}'))
+                .toEqual(['a ', ['foo'], ' b ', ['bar', 'default']]);
+        });
+    });
+
+    describe('Document', function(){
+        var doc;
+
+        beforeEach(function(){
+            doc = document.implementation.createHTMLDocument('');
+        });
+
+        afterEach(function(){
+            DomTal.document = null;
+        });
+
+        it('should create the nodes with the given document', function(){
+            var tal = new DomTal('<p tal:content="foo"></p>', {foo: 'FOO'}, {document: doc});
+            var dom = tal.run();
+            expect(dom.ownerDocument).toBe(doc);
+            expect(dom.firstChild.ownerDocument).toBe(doc);
+            $expect('p', dom).toHaveText('FOO');
+        });
+
+        it('should use the module default document', function(){
+            DomTal.document = doc;
+            var dom = DomTal.run('<p tal:repeat="i items">${i}</p>', {items: [1, 2]});
+            expect(dom.ownerDocument).toBe(doc);
+            expect(dom.childNodes[0].ownerDocument).toBe(doc);
+        });
+
+        it('should still accept the namespace as a string', function(){
+            var tal = new DomTal('<p x:content="foo"></p>', {foo: 'FOO'}, 'x');
+            $expect('p', tal.run()).toHaveText('FOO');
+        });
+    });
+
+    describe('Namespaces', function(){
+        var NS = DomTal.NS;
+
+        it('should create svg elements in their namespace', function(){
+            var tal = new DomTal('<svg viewBox="0 0 10 10"><linearGradient/><circle tal:attributes="r size"/></svg>');
+            var svg = tal.run({size: 5}).firstChild;
+            expect(svg.namespaceURI).toBe(NS.SVG);
+            expect(svg.firstChild.namespaceURI).toBe(NS.SVG);
+            expect(svg.firstChild.nodeName).toBe('linearGradient');
+            expect(svg.childNodes[1].getAttribute('r')).toBe('5');
+            expect(svg.getAttribute('viewBox')).toBe('0 0 10 10');
+        });
+
+        it('should set namespaced attributes', function(){
+            var tal = new DomTal('<svg><use xlink:href="#a" tal:attributes="xlink:href url"/></svg>');
+            var use = tal.run({url: '#b'}).firstChild.firstChild;
+            expect(use.getAttributeNS(NS.XLINK, 'href')).toBe('#b');
+        });
+
+        it('should resolve processors by namespace in xml mode', function(){
+            var tal = new DomTal('<root xmlns:t="' + NS.TAL + '"><Item t:content="foo"/><x tal:replace="foo"/></root>',
+                                 {foo: 'FOO'}, {xml: true});
+            var root = tal.run().firstChild;
+            expect(root.firstChild.nodeName).toBe('Item');
+            expect(root.firstChild.namespaceURI).toBe(null);
+            expect(root.firstChild.attributes.length).toBe(0);
+            expect(DomTal.serialize(root)).toBe('<root xmlns:t="' + NS.TAL + '"><Item>FOO</Item>FOO</root>');
+        });
+
+        it('should use a custom namespace in xml mode', function(){
+            var tal = new DomTal('<p xmlns:x="urn:foo" xmlns:t="' + NS.TAL + '" x:content="foo" t:content="bar"/>',
+                                 {foo: 'FOO', bar: 'BAR'}, {xml: true, nsURI: 'urn:foo'});
+            expect(tal.run().firstChild.textContent).toBe('FOO');
+        });
+
+        it('should report undeclared prefixes in xml mode', function(){
+            expect(function(){ new DomTal('<x:a/>', {}, {xml: true}); }).toThrow();
+        });
+    });
+
+    describe('Backends', function(){
+        var data = {
+            items: [1, 2, 3],
+            foo: 'F<o>o',
+            html: '<em>x</em>&amp;',
+            sub: '<span tal:content="foo"/>'
+        };
+
+        function same(tpl){
+            var dom = new DomTal(tpl).renderToString(data),
+                str = new DomTal(tpl, null, {backend: 'string'}).renderToString(data);
+            expect(str).toBe(dom);
+        }
+
+        it('should render with the virtual document', function(){
+            var tal = new DomTal('<p tal:content="foo"/>', null, {backend: 'string'});
+            expect(tal.document instanceof DomTal.VirtualDocument).toBe(true);
+            expect(tal.renderToString(data)).toBe('<p>F&lt;o&gt;o</p>');
+        });
+
+        it('should reach the globals from the expressions', function(){
+            var tal = new DomTal('<p>${Math.max(1, x)} ${JSON.stringify([x])} ${String(x)}</p>', null, {backend: 'string'});
+            expect(tal.renderToString({x: 3})).toBe('<p>3 [3] 3</p>');
+        });
+
+        it('should not look up elements by their id', function(){
+            var tal = new DomTal('<p tal:template="\'#card\'"/>', null, {backend: 'string'});
+            expect(function(){ tal.run(); }).toThrow(new Error('Unable to find the element "#card", the string ' +
+                'backend has no page to look it up, register the template by name instead'));
+        });
+
+        it('should give the same results than the dom backend', function(){
+            same('<ul tal:define="n items.length"><li tal:repeat="i items" tal:attributes="data-n n">${i}<b tal:condition="i > 1">!</b></li></ul>');
+            same('<p tal:content="foo">x</p><p tal:replace="foo">x</p><p tal:replace="structure:html"/>');
+            same('<span tal:omit-tag="">in<i>side</i></span><span tal:omit-tag="0">out</span>');
+            same('<div tal:template="sub"></div><p style="color: red" tal:css="font-weight: \'bold\'">c</p>');
+            same('<div tal:define="global g">a<b>b</b></div><p>${g}</p>');
+            same('<svg><use tal:attributes="xlink:href foo"/></svg><input type="checkbox" tal:attributes="checked true; disabled false">');
+        });
+
+        it('should keep the semicolons inside style values', function(){
+            var tpl = '<p style="background: url(data:image/png;base64,AAA=) no-repeat" tal:css="color: \'red\'">c</p>';
+
+            same('<p style=\'content: "a;b"\' tal:css="color: \'red\'">c</p>');
+            expect(new DomTal(tpl, null, {backend: 'string'}).renderToString(data))
+                .toBe('<p style="background: url(data:image/png;base64,AAA=) no-repeat; color: red;">c</p>');
+        });
+
+        it('should not insert a node into itself', function(){
+            var doc = new DomTal.VirtualDocument(),
+                parent = doc.createElement('div'),
+                child = parent.appendChild(doc.createElement('p'));
+
+            expect(function(){ child.appendChild(parent); }).toThrow();
+            expect(function(){ parent.insertBefore(parent, child); }).toThrow();
+            expect(child.parentNode).toBe(parent);
+            expect(parent.parentNode).toBe(null);
+        });
+
+        it('should reject unknown backends', function(){
+            expect(function(){ new DomTal('<p/>', null, {backend: 'foo'}); }).toThrow();
+        });
+    });
+
+    describe('Serialization', function(){
+        var tal;
+
+        it('should render to an html string', function(){
+            tal = new DomTal('<p class="${cls}">${foo}<br><input type="checkbox" tal:attributes="checked on"></p>');
+            expect(tal.renderToString({cls: 'a"b', foo: '<b> & c', on: true}))
+                .toBe('<p class="a&quot;b">&lt;b&gt; &amp; c<br><input type="checkbox" checked></p>');
+        });
+
+        it('should render to an xhtml string', function(){
+            tal = new DomTal('<p>${foo}<br><input type="checkbox" tal:attributes="checked on"></p>');
+            expect(tal.renderToString({foo: 'FOO', on: true}, {format: 'xhtml'}))
+                .toBe('<p>FOO<br /><input type="checkbox" checked="checked" /></p>');
+        });
+
+        it('should strip the markers unless asked to keep them', function(){
+            tal = new DomTal('<i tal:repeat="i items">${i}</i>');
+            expect(tal.renderToString({items: [1, 2]})).toBe('<i>1</i><i>2</i>');
+            expect(tal.renderToString({items: [1, 2]}, {markers: true}))
+                .toMatch(/^<!--DOMTAL:BEGIN id=\d+ processor=repeat--><i>1<\/i><i>2<\/i><!--DOMTAL:END id=\d+ processor=repeat-->$/);
+        });
+
+        it('should not escape raw text elements', function(){
+            tal = new DomTal('<script>if (a < b && c) {}</script>');
+            expect(tal.renderToString()).toBe('<script>if (a < b && c) {}</script>');
+            expect(tal.renderToString({}, {format: 'xhtml'})).toBe('<script>if (a &lt; b &amp;&amp; c) {}</script>');
+
+            tal = new DomTal('<script>var s = "${s}";</script>');
+            expect(tal.renderToString({s: '</SCRIPT><b>x'})).toBe('<script>var s = "<\\/SCRIPT><b>x";</script>');
+        });
+
+        it('should indent the elements in pretty mode', function(){
+            tal = new DomTal('<ul><li tal:repeat="i items">${i} <b>!</b></li></ul>');
+            expect(tal.renderToString({items: [1, 2]}, {pretty: true}))
+                .toBe('<ul>\n  <li>1 <b>!</b></li>\n  <li>2 <b>!</b></li>\n</ul>');
+
+            tal = new DomTal('<div><p><b>a</b><i>b</i></p><p>c</p></div><div><p>a</p><span>b</span></div>');
+            expect(tal.renderToString({}, {pretty: true}))
+                .toBe('<div>\n  <p><b>a</b><i>b</i></p>\n  <p>c</p>\n</div>\n<div><p>a</p><span>b</span></div>');
+        });
+
+        it('should reject unknown formats', function(){
+            tal = new DomTal('<p></p>');
+            expect(function(){ tal.renderToString({}, {format: 'xml'}); }).toThrow();
+        });
+    });
+
+    describe('Text', function(){
+        function render(tpl, data){
+            return new DomTal(tpl, null, {text: true}).renderToString(data);
+        }
+
+        it('should interpolate plain text', function(){
+            expect(render('a < ${foo} & b', {foo: '<b>'})).toBe('a < <b> & b');
+        });
+
+        it('should repeat and define', function(){
+            var tpl = 'Items:\n' +
+                      '{% repeat i items %}\n' +
+                      '  {% define sq js:i * i %}\n' +
+                      '  ${repeat.i.number}. ${sq}\n' +
+                      '{% end %}\n' +
+                      'Done';
+            expect(render(tpl, {items: [2, 3]})).toBe('Items:\n  1. 4\n  2. 9\nDone');
+        });
+
+        it('should check conditions', function(){
+            var tpl = '{% condition ok %}yes{% end %}{% condition not:ok %}no{% end %}';
+            expect(render(tpl, {ok: true})).toBe('yes');
+            expect(render(tpl, {ok: false})).toBe('no');
+        });
+
+        it('should render the else branches', function(){
+            var tpl = '{% condition a %}A{% elif b %}B{% else %}C{% end %}|' +
+                      '{% repeat i items %}${i}{% else %}none{% end %}';
+            expect(render(tpl, {a: 1, b: 1, items: [1, 2]})).toBe('A|12');
+            expect(render(tpl, {a: 0, b: 1, items: []})).toBe('B|none');
+            expect(render(tpl, {a: 0, b: 0, items: {}})).toBe('C|none');
+            expect(render('{% repeat i items order by i desc limit 2 %}${i}{% end %}', {items: [1, 3, 2]})).toBe('32');
+            expect(function(){ render('{% else %}{% end %}'); }).toThrow();
+        });
+
+        it('should trim the white space if asked to', function(){
+            expect(render('a  {%- define x 1 -%}\n\n  b ${x}')).toBe('ab 1');
+            expect(render('a {% define x 1 %} b')).toBe('a  b');
+        });
+
+        it('should report malformed templates', function(){
+            expect(function(){ render('{% repeat i items %}'); }).toThrow();
+            expect(function(){ render('\n{% end %}'); }).toThrow();
+            expect(function(){ render('{% foo %}{% end %}'); }).toThrow();
+            expect(function(){ render('{% define x 1'); }).toThrow();
+        });
+    });
+
+    describe('Workers', function(){
+        var tpl = '<ul><li tal:repeat="i items" class="${i}">${i}</li></ul><svg><use xlink:href="#a"/></svg>';
+
+        // Runs DomTal.worker.js in the page, connecting its messages with the renderer.
+        // Its source can't be obtained when the runner is opened from the file system.
+        function PageWorker(source){
+            var self = this,
+                scope = {DomTal: DomTal};
+
+            scope.postMessage = function(reply){
+                self.onmessage({data: reply});
+            };
+            scope.addEventListener = function(type, fn){
+                scope.onmessage = fn;
+            };
+            this.postMessage = function(msg){
+                scope.onmessage({data: JSON.parse(JSON.stringify(msg))});
+            };
+            this.addEventListener = function(type, fn){
+                if (type === 'message') self.onmessage = fn;
+            };
+
+            new Function('self', 'importScripts', source)(scope, function(){});
+        }
+
+        function workerSource(){
+            try {
+                return jQuery.ajax({url: '../lib/DomTal.worker.js', async: false, dataType: 'text'}).responseText || null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        // A worker which never replies, dispatching the events given to `emit`
+        function DeadWorker(){
+            var listeners = {};
+
+            this.postMessage = function(){};
+            this.terminate = function(){};
+            this.addEventListener = function(type, fn){
+                listeners[type] = fn;
+            };
+            this.emit = function(type, e){
+                listeners[type](e);
+            };
+        }
+
+        it('should convert the result into a list of operations and back', function(){
+            var dom = new DomTal(tpl).run({items: [1, 2]}),
+                ops = DomTal.operations(dom),
+                copy = DomTal.applyOperations(JSON.parse(JSON.stringify(ops)), document);
+
+            expect(ops[0]).toEqual([1, 'ul', DomTal.NS.XHTML, []]);
+            expect(DomTal.serialize(copy, {markers: true})).toBe(DomTal.serialize(dom, {markers: true}));
+            expect(copy.firstChild.firstChild.type).toBe('begin');
+        });
+
+        it('should render the templates in a worker', function(){
+            var source = workerSource(),
+                renderer, result, error;
+
+            if (!source) {
+                return;
+            }
+
+            renderer = new DomTal.WorkerRenderer(new PageWorker(source));
+
+            renderer.render(tpl, {items: [1, 2]}, function(err, fragment){
+                result = fragment;
+            });
+            renderer.render('<p tal:content="nope.foo"/>', {}, function(err){
+                error = err;
+            });
+
+            expect(result.ownerDocument).toBe(document);
+            expect(DomTal.serialize(result)).toBe(new DomTal(tpl).renderToString({items: [1, 2]}));
+            expect(error instanceof Error).toBe(true);
+        });
+
+        it('should call back with an error if the worker fails', function(){
+            var worker = new DeadWorker(),
+                renderer = new DomTal.WorkerRenderer(worker),
+                errors = [];
+
+            function collect(err){
+                errors.push(err.message);
+            }
+
+            renderer.render('<p/>', {}, collect);
+            renderer.render('<p/>', {}, collect);
+            worker.emit('error', {message: 'Script not found'});
+            renderer.render('<p/>', {}, collect);
+            worker.emit('messageerror', {});
+            renderer.render('<p/>', {}, collect);
+            renderer.terminate();
+            renderer.render('<p/>', {}, collect);
+
+            expect(errors).toEqual([
+                'The worker failed: Script not found', 'The worker failed: Script not found',
+                'Unable to read a message from the worker', 'The worker was terminated',
+                'The worker was terminated'
+            ]);
+        });
+
+        it('should restore the scope of a failed rendering', function(){
+            var tal = new DomTal('<div tal:define="x 1"><p tal:content="nope.foo"/></div>'),
+                compiled = new DomTal('<div tal:define="x 1"><p tal:content="nope.foo"/></div>');
+
+            compiled.compile();
+            expect(function(){ tal.run({}); }).toThrow();
+            expect(function(){ compiled.run({}); }).toThrow();
+            expect(tal.stack.length).toBe(1);
+            expect(compiled.stack.length).toBe(1);
+            expect(tal.renderToString({nope: {foo: 'Foo'}})).toBe('<div><p>Foo</p></div>');
+        });
+    });
+
+    describe('Hydration', function(){
+        var tpl = '<ul><li tal:repeat="i items" tal:content="i"/></ul><p tal:condition="nope">x</p><p tal:content="foo"/>',
+            data = {items: [1, 2], nope: false, foo: 'Foo'};
+
+        function server(){
+            var container = document.createElement('div');
+            container.innerHTML = new DomTal(tpl, null, {backend: 'string'}).renderToString(data, {markers: true, scope: true, pretty: true});
+            return container;
+        }
+
+        it('should attach to the existing markup', function(){
+            var container = server(),
+                items = container.getElementsByTagName('li'),
+                first = items[0],
+                tal = new DomTal(tpl);
+
+            expect(tal.hydrate(container)).toBe(true);
+            expect(container.getElementsByTagName('li')[0]).toBe(first);
+            expect(container.getElementsByTagName('p')[0].textContent).toBe('Foo');
+        });
+
+        it('should re-render the bound nodes in place', function(){
+            var bounds = [],
+                container = server(),
+                values = JSON.parse(JSON.stringify(data)),
+                tal;
+
+            // Stub for the Bind library, every node depends on something
+            window.bind = function(fn, opts){
+                var b = function(){ fn.call(opts.ctx); };
+                b.depends = function(){};
+                bounds.push(b);
+                return b;
+            };
+            window.bind.tracking = {begin: function(){}, end: function(){ return ['dep']; }};
+
+            tal = new DomTal(tpl);
+            tal.hydrate(container, values);
+            delete window.bind;
+
+            values.foo = 'Bar';
+            bounds[bounds.length - 1]();
+            expect(container.getElementsByTagName('p')[0].textContent).toBe('Bar');
+            expect(container.getElementsByTagName('li').length).toBe(2);
+        });
+
+        it('should escape the markup in the scope snapshot', function(){
+            var html = new DomTal('<p/>', null, {backend: 'string'})
+                .renderToString({foo: '</script><!-- & -->'}, {scope: true});
+
+            expect(html).toBe('<p></p><script type="application/json" data-domtal-scope>' +
+                '{"foo":"\\u003c/script\\u003e\\u003c!-- \\u0026 --\\u003e"}</script>');
+        });
+
+        it('should replace markup not matching the template', function(){
+            var container = document.createElement('div'),
+                tal = new DomTal(tpl);
+
+            container.innerHTML = '<ul><li>1</li></ul>';
+            expect(tal.hydrate(container, data)).toBe(false);
+            expect(container.getElementsByTagName('li').length).toBe(2);
+        });
+
+        it('should replace markup not matching the data', function(){
+            var container = document.createElement('div'),
+                tal = new DomTal('<p class="${cls}">${foo}</p>');
+
+            container.innerHTML = '<p class="a">Server</p>';
+            expect(tal.hydrate(container, {cls: 'a', foo: 'Client'})).toBe(false);
+            expect(container.innerHTML).toBe('<p class="a">Client</p>');
+
+            container.innerHTML = '<p class="a">Client</p>';
+            expect(tal.hydrate(container, {cls: 'b', foo: 'Client'})).toBe(false);
+            expect(container.innerHTML).toBe('<p class="b">Client</p>');
+
+            expect(tal.hydrate(container, {cls: 'b', foo: 'Client'})).toBe(true);
+        });
+    });
+
+    describe('Compilation', function(){
+        var data = {
+            items: [1, 2, 3],
+            foo: 'F<o>o',
+            html: '<em>x</em>&amp;',
+            sub: '<span tal:content="foo"/>'
+        };
+
+        function same(tpl){
+            var interpreted = new DomTal(tpl).renderToString(data),
+                compiled = new DomTal(tpl);
+            compiled.compile();
+            expect(compiled.renderToString(data)).toBe(interpreted);
+            // Compiled templates can be run several times
+            expect(compiled.renderToString(data)).toBe(interpreted);
+        }
+
+        it('should give the same results than the interpreted templates', function(){
+            same('<ul tal:define="n items.length"><li tal:repeat="i items" tal:attributes="data-n n">${i}<b tal:condition="i > 1">!</b></li></ul>');
+            same('<div tal:repeat="a items" title="t${a}"><i tal:repeat="b items" tal:condition="b != a">${a}-${b}</i></div>');
+            same('<p tal:content="foo">x</p><p tal:replace="foo">x</p><p tal:replace="structure:html"/>');
+            same('<p tal:content="nothing | default">keep <b tal:content="foo"/></p><p tal:replace="default">r <i>${foo}</i></p>');
+            same('<span tal:omit-tag="">in<i tal:content="foo">side</i></span><span tal:omit-tag="0">out</span>');
+            same('<div tal:template="sub"></div><p style="color: red" tal:css="font-weight: \'bold\'">c</p>');
+            same('<div tal:define="global g">a<b tal:content="foo">b</b></div><p>${g}</p><!-- comment -->');
+        });
+
+        it('should return a render function', function(){
+            var render = DomTal.compile('<li tal:repeat="i items">${i}</li>');
+            expect(DomTal.serialize(render({items: [1, 2]}))).toBe('<li>1</li><li>2</li>');
+            expect(DomTal.serialize(render({items: [3]}))).toBe('<li>3</li>');
+        });
+
+        it('should load a template from the generated source', function(){
+            var render = DomTal.compile('<p tal:content="foo"/>'),
+                tal = new DomTal(eval('(' + render.source + ')'));
+            expect(tal.renderToString({foo: 'Foo'})).toBe('<p>Foo</p>');
+        });
+
+        it('should parse the expressions only once', function(){
+            var render = DomTal.compile('<p tal:content="foo">${bar}</p>');
+            expect(render.source).toContain('["content",["foo"]]');
+            expect(render.source).not.toContain('${bar}');
+        });
+
+        it('should fallback to the interpreter for custom processors', function(){
+            DomTal.prototype.processor('upper', function(node){
+                node.textContent = node.textContent.toUpperCase();
+                return false;
+            });
+
+            var render = DomTal.compile('<p tal:upper="">hi <b>there</b></p><p tal:content="foo"/>');
+            expect(DomTal.serialize(render({foo: 'Foo'}))).toBe('<p>HI THERE</p><p>Foo</p>');
+
+            DomTal.prototype.processors.removeByName('upper');
+        });
+    });
+
+    describe('Templates', function(){
+        var requests, pending;
+
+        // Stub loader serving the templates from an object
+        function loader(sources, async){
+            return function(name, callback){
+                requests.push(name);
+                if (async) {
+                    pending.push(function(){ callback(null, sources[name]); });
+                } else {
+                    callback(null, sources[name]);
+                }
+            };
+        }
+
+        beforeEach(function(){
+            requests = [];
+            pending = [];
+            DomTal.templates.clear();
+            DomTal.templates.loader(null);
+        });
+
+        afterEach(function(){
+            DomTal.templates.clear();
+            DomTal.templates.loader(null);
+        });
+
+        it('should include registered templates by name', function(){
+            DomTal.templates.register('partials/user-card', '<b tal:content="user"/>');
+            DomTal.templates.register('card', '<i>${user}</i>');
+
+            var tal = new DomTal('<p tal:repeat="user users" tal:template="partials/user-card"/><p tal:replace="tpl: card"/>');
+            expect(tal.renderToString({users: ['A', 'B'], user: 'C'})).toBe('<b>A</b><b>B</b><i>C</i>');
+        });
+
+        it('should pass parameters and slots to the templates', function(){
+            DomTal.templates.register('card', '<div tal:attributes="class {compact: compact}">[<tal:block replace="slot"/>]${item}' +
+                                              '<i tal:replace="slots.footer | default">none</i><s tal:condition="secret">leak</s></div>');
+
+            var tal = new DomTal('<p tal:repeat="r rows" tal:template="card with item=r, compact=true">' +
+                                 '<b>${secret}</b><u tal:slot="footer">F${r}</u></p><p tal:template="card">x</p>'),
+                html = '<div class="compact">[<b>s</b>]1<u>F1</u></div><div class="compact">[<b>s</b>]2<u>F2</u></div>' +
+                       '<div>[x]3<i>none</i><s>leak</s></div>';
+
+            expect(tal.renderToString({rows: [1, 2], item: 3, secret: 's'})).toBe(html);
+
+            tal.compile();
+            expect(tal.renderToString({rows: [1, 2], item: 3, secret: 's'})).toBe(html);
+        });
+
+        it('should render the slots only when used', function(){
+            DomTal.templates.register('twice', '<p><tal:block replace="slot"/>|<tal:block replace="slot"/></p>');
+            DomTal.templates.register('none', '<p>none</p>');
+
+            var tal = new DomTal('<div tal:template="twice">${n}</div><div tal:template="none">${missing}</div>');
+            expect(tal.renderToString({n: 1})).toBe('<p>1|1</p><p>none</p>');
+        });
+
+        it('should resolve names given by an expression', function(){
+            DomTal.templates.register('card', '<i>${user}</i>');
+
+            var tal = new DomTal('<p tal:template="name"/>');
+            expect(tal.renderToString({name: 'card', user: 'A'})).toBe('<i>A</i>');
+            expect(tal.renderToString({name: 'Just text', user: 'A'})).toBe('Just text');
+        });
+
+        it('should parse the templates only once', function(){
+            DomTal.templates.loader(loader({'tpl/row': '<b tal:content="i"/>'}));
+
+            var tal = new DomTal('<p tal:repeat="i items" tal:template="tpl/row"/>', null, {backend: 'string'});
+            tal.compile();
+            expect(tal.renderToString({items: [1, 2, 3]})).toBe('<b>1</b><b>2</b><b>3</b>');
+            expect(tal.renderToString({items: [4]})).toBe('<b>4</b>');
+            expect(requests).toEqual(['tpl/row']);
+            expect(DomTal.templates.entries['tpl/row'].parsed.length).toBe(1);
+        });
+
+        it('should preload templates with an asynchronous loader', function(){
+            var done = false,
+                tal = new DomTal('<div tal:template="partials/a"/>');
+
+            DomTal.templates.loader(loader({'partials/a': '<a>${x}</a>'}, true));
+            expect(function(){ tal.renderToString({x: 1}); }).toThrow();
+
+            DomTal.templates.preload(['partials/a', 'partials/a'], function(err){
+                done = !err;
+            });
+            expect(done).toBe(false);
+            pending.forEach(function(fn){ fn(); });
+
+            expect(done).toBe(true);
+            expect(requests.length).toBe(1);
+            expect(tal.renderToString({x: 1})).toBe('<a>1</a>');
+        });
+
+        it('should report templates not found', function(){
+            var error = null;
+
+            DomTal.templates.loader(loader({}));
+            DomTal.templates.preload('missing', function(err){
+                error = err;
+            });
+            expect(error instanceof Error).toBe(true);
+            expect(function(){ new DomTal('<div tal:template="partials/missing"/>').renderToString(); }).toThrow();
+        });
+
+        it('should register and render the templates of a page', function(){
+            var error = 'pending',
+                root = document.createElement('div');
+
+            window.domtalScanData = {user: {name: 'Ann'}};
+            root.innerHTML = 
+                '<script type="template/domtal" id="scan-name"><b tal:content="user.name"/></script>' +
+                '<template data-domtal id="scan-card"><i tal:template="scan-name"></i>!</template>' +
+                '<div data-domtal-template="scan-card" data-domtal-data="domtalScanData">loading</div>' +
+                '<div data-domtal-template="#scan-card" data-domtal-data="nope.data">loading</div>';
+
+            DomTal.scan(root, function(err){
+                error = err;
+            });
+
+            expect(DomTal.templates.has('scan-name')).toBe(true);
+            expect(DomTal.templates.has('scan-card')).toBe(true);
+            expect(root.childNodes[2].textContent).toBe('Ann!');
+            expect(root.childNodes[3].innerHTML).toBe('loading');
+            expect(error.message).toContain('nope.data');
+
+            delete window.domtalScanData;
+        });
+
+        it('should include compiled templates', function(){
+            DomTal.templates.register('compiled/row', DomTal.compile('<b>${i}</b>'));
+
+            var tal = new DomTal('<p tal:repeat="i items" tal:template="compiled/row"/>');
+            expect(tal.renderToString({items: [1, 2]})).toBe('<b>1</b><b>2</b>');
+        });
     });
 
     describe('Interpolation', function(){
@@ -111,6 +841,18 @@ describe('DomTal', function(){
                 dom = tal.run();
                 $expect('p', dom).toHaveText(/bar/);
             });
+
+            it('with destructuring patterns', function(){
+                tal.load('<p tal:define="{name, email: mail, role = \'guest\', info: {age}} user; [a, , c = 9, ...rest] parts">' +
+                         '${name} ${mail} ${role} ${age} ${a} ${c} ${rest.length}</p>' +
+                         '<b tal:define="{x, ...others} obj">${x}${others.y}${others.x === undefined}</b>');
+                dom = tal.run({user: {name: 'n', email: 'e', info: {age: 3}}, parts: [1, 2, undefined, 4, 5], obj: {x: 1, y: 2}});
+                $expect('p', dom).toHaveText('n e guest 3 1 9 2');
+                $expect('b', dom).toHaveText('12true');
+
+                tal.load('<p tal:define="{a b">x</p>');
+                expect(function(){ tal.run(); }).toThrow();
+            });
         });
 
         describe('Content', function(){
@@ -131,6 +873,13 @@ describe('DomTal', function(){
                 dom = tal.run({foo: 'foo<br/>bar'});
                 $expect('span', dom).toContain('br');
             });
+
+            it('when called with the attribute value', function(){
+                var span = document.createElement('span');
+                tal.set({foo: 'FOO'});
+                tal.processors.getByName('content').call(tal, span, 'foo');
+                expect(span.textContent).toBe('FOO');
+            });
         });
 
         describe('Replace', function(){
@@ -254,6 +1003,201 @@ describe('DomTal', function(){
                 $expect('li:nth-child(3)', dom).toHaveText('2/3');
             });
 
+            it('should iterate over maps, sets and array like objects', function(){
+                var list = document.createElement('div'),
+                    iterable = {};
+
+                list.innerHTML = '<b>x</b><i>y</i>';
+                iterable[Symbol.iterator] = function(){
+                    var i = 0;
+                    return {next: function(){ return i < 2 ? {value: 'v' + i++, done: false} : {done: true}; }};
+                };
+
+                tal.load('<p tal:repeat="i items">${repeat.i.key}=${i}</p>');
+                expect(DomTal.serialize(tal.run({items: new Map([['a', 1], ['b', 2]])}))).toBe('<p>a=1</p><p>b=2</p>');
+                expect(DomTal.serialize(tal.run({items: new Set(['a', 'b'])}))).toBe('<p>0=a</p><p>1=b</p>');
+                expect(DomTal.serialize(tal.run({items: new Uint8Array([7, 8])}))).toBe('<p>0=7</p><p>1=8</p>');
+                expect(DomTal.serialize(tal.run({items: (function(){ return arguments; })('a')}))).toBe('<p>0=a</p>');
+                expect(DomTal.serialize(tal.run({items: iterable}))).toBe('<p>0=v0</p><p>1=v1</p>');
+                expect(DomTal.serialize(tal.run({items: null}))).toBe('');
+
+                tal.load('<p tal:repeat="el items">${el.nodeName}</p>');
+                expect(DomTal.serialize(tal.run({items: list.childNodes}))).toBe('<p>B</p><p>I</p>');
+            });
+
+            it('should destructure the items', function(){
+                tal.load('<p tal:repeat="(k, v) settings">${k}=${v}${repeat.v.number}</p>' +
+                         '<i tal:repeat="{id, title = \'U\'} rows where id > 1">${id}:${title}${repeat.id.index}</i>');
+                expect(DomTal.serialize(tal.run({settings: {a: 1, b: 2}, rows: [{id: 1}, {id: 2, title: 'T'}, {id: 3}]})))
+                    .toBe('<p>a=11</p><p>b=22</p><i>2:T0</i><i>3:U1</i>');
+            });
+
+            it('should provide letters and roman numerals', function(){
+                var items = [];
+                for (var i=0; i<28; i++) items.push(i);
+
+                tal.load('<i tal:repeat="n items">${repeat.n.letter}${repeat.n.Letter}${repeat.n.roman}${repeat.n.Roman} </i>');
+                dom = tal.run({items: items});
+                $expect('i:nth-child(1)', dom).toHaveText('aAiI ');
+                $expect('i:nth-child(4)', dom).toHaveText('dDivIV ');
+                $expect('i:nth-child(27)', dom).toHaveText('aaAAxxviiXXVII ');
+                $expect('i:nth-child(28)', dom).toHaveText('abABxxviiiXXVIII ');
+            });
+
+            it('should find the first and last items of a group', function(){
+                var orders = [
+                    {id: 1, date: {month: 'jan'}}, {id: 2, date: {month: 'jan'}},
+                    {id: 3, date: {month: 'feb'}}, {id: 4, date: {month: 'jan'}}
+                ];
+
+                tal.load('<p tal:repeat="o orders"><b tal:condition="repeat.o.first(\'date.month\')">${o.date.month}</b>' +
+                         '${o.id}<i tal:condition="repeat.o.last(\'date.month\')">.</i></p>');
+                expect(DomTal.serialize(tal.run({orders: orders})))
+                    .toBe('<p><b>jan</b>1</p><p>2<i>.</i></p><p><b>feb</b>3<i>.</i></p><p><b>jan</b>4<i>.</i></p>');
+
+                tal.load('<i tal:repeat="n items">${repeat.n.first()}</i>');
+                expect(DomTal.serialize(tal.run({items: [1, 1, 2]}))).toBe('<i>true</i><i>false</i><i>true</i>');
+            });
+
+            it('should link to the enclosing loop', function(){
+                tal.load('<p tal:repeat="a items"><i tal:repeat="b items">${repeat.b.parent.number}${repeat.b.number}</i></p>' +
+                         '<b tal:repeat="c items">${repeat.c.parent === null}</b>');
+                expect(DomTal.serialize(tal.run({items: [1, 2]})))
+                    .toBe('<p><i>11</i><i>12</i></p><p><i>21</i><i>22</i></p><b>true</b><b>true</b>');
+            });
+
+            it('should filter, sort and slice the items', function(){
+                var items = [
+                    {name: 'b', age: 30, active: true}, {name: 'a', age: 20, active: true},
+                    {name: 'c', age: 30, active: false}, {name: 'd', age: 40, active: true},
+                    {name: 'e', age: 20, active: true}
+                ];
+
+                tal.load('<p tal:repeat="u items where u.active order by u.age desc, u.name limit 2 offset off">' +
+                         '${u.name}${repeat.u.number}/${repeat.u.total}/${repeat.u.page}/${repeat.u.pages}</p>');
+                expect(DomTal.serialize(tal.run({items: items, off: 0})))
+                    .toBe('<p>d1/4/1/2</p><p>b2/4/1/2</p>');
+                expect(DomTal.serialize(tal.run({items: items, off: 2})))
+                    .toBe('<p>a1/4/2/2</p><p>e2/4/2/2</p>');
+            });
+
+            it('should sort the strings by language', function(){
+                var sv = new DomTal('<i tal:repeat="s items order by s">${s}</i>', null, {language: 'sv'});
+                expect(DomTal.serialize(sv.run({items: ['\u00e4', 'z', 'a']}))).toBe('<i>a</i><i>z</i><i>\u00e4</i>');
+            });
+
+            it('should group the items in chunks', function(){
+                tal.load('<tr tal:repeat="row items chunk 2"><td tal:repeat="i row">${i}</td></tr>');
+                expect(DomTal.serialize(tal.run({items: [1, 2, 3]})))
+                    .toBe('<tr><td>1</td><td>2</td></tr><tr><td>3</td></tr>');
+            });
+
+            it('should report malformed clauses', function(){
+                expect(function(){ tal.load('<p tal:repeat="i items limit">x</p>'); tal.run({items: []}); }).toThrow();
+                expect(function(){ tal.load('<p tal:repeat="i items sorted i">x</p>'); tal.run({items: []}); }).toThrow();
+            });
+
+            it('should normalize the iterables', function(){
+                var items = tal.makeIterable(new Map([['a', 1], ['b', 2]]));
+                expect(items.count).toBe(2);
+                expect(items.keys).toEqual(['a', 'b']);
+                expect(items.values).toEqual([1, 2]);
+                expect(tal.makeIterable({x: 1}).keys).toEqual(['x']);
+            });
+
+        });
+
+        describe('Switch', function(){
+
+            it('should render only the first matching case', function(){
+                tal.load('<div tal:switch="role"><p tal:case="\'admin\'">A</p><p tal:case="\'admin\'">A2</p>' +
+                         '<p tal:case="\'editor\'">E</p><p tal:case="default">R</p></div>');
+                expect(DomTal.serialize(tal.run({role: 'admin'}))).toBe('<div><p>A</p></div>');
+                expect(DomTal.serialize(tal.run({role: 'editor'}))).toBe('<div><p>E</p></div>');
+                expect(DomTal.serialize(tal.run({role: 'guest'}))).toBe('<div><p>R</p></div>');
+            });
+
+            it('should work along define and repeat', function(){
+                tal.load('<ul tal:define="one 1" tal:switch="one"><li tal:repeat="u users" tal:switch="u.length">' +
+                         '<b tal:case="one">one</b><i tal:case="missing.var">x</i><b tal:case="default">${u.length}</b></li></ul>' +
+                         '<div tal:switch="1"><tal:block repeat="i items" case="1">${i}</tal:block><b tal:case="default">no</b></div>');
+                expect(DomTal.serialize(tal.run({users: ['a', 'bcd'], items: [1, 2]})))
+                    .toBe('<ul><li><b>one</b></li><li><b>3</b></li></ul><div>12</div>');
+            });
+
+            it('should require an enclosing switch', function(){
+                tal.load('<p tal:case="1">x</p>');
+                expect(function(){ tal.run(); }).toThrow();
+            });
+
+        });
+
+        describe('Else', function(){
+
+            it('should render the first matching branch', function(){
+                tal.load('<div><p tal:condition="a">A</p>\n<p tal:elif="b">B</p><p tal:elif="missing.var">M</p>' +
+                         '<p tal:else="">C</p></div>');
+                expect(DomTal.serialize(tal.run({a: true, b: true}))).toBe('<div><p>A</p>\n</div>');
+                expect(DomTal.serialize(tal.run({a: false, b: true}))).toBe('<div>\n<p>B</p></div>');
+                expect(DomTal.serialize(tal.run({a: false, b: false}))).toBe('<div>\n<p>C</p></div>');
+            });
+
+            it('should render the else of an empty repeat', function(){
+                tal.load('<ul><li tal:repeat="i items">${i}</li><li tal:else="" tal:condition="show">none</li></ul>');
+                expect(DomTal.serialize(tal.run({items: [1, 2], show: true}))).toBe('<ul><li>1</li><li>2</li></ul>');
+                expect(DomTal.serialize(tal.run({items: [], show: true}))).toBe('<ul><li>none</li></ul>');
+                expect(DomTal.serialize(tal.run({items: [], show: false}))).toBe('<ul></ul>');
+            });
+
+            it('should only follow the element right before', function(){
+                tal.load('<div><p tal:condition="a">A</p><hr/><p tal:else="">C</p></div>');
+                expect(function(){ tal.run({a: false}); }).toThrow();
+
+                tal.load('<div><p tal:condition="a"><b tal:else="">C</b></p></div>');
+                expect(function(){ tal.run({a: true}); }).toThrow();
+            });
+
+            it('should follow the elements handling their errors', function(){
+                tal.load('<p tal:on-error="\'E\'" tal:condition="a">A</p><p tal:else="">C</p>');
+                expect(DomTal.serialize(tal.run({a: true}))).toBe('<p>A</p>');
+                expect(DomTal.serialize(tal.run({a: false}))).toBe('<p>C</p>');
+
+                tal.load('<p tal:on-error="\'E\'" tal:condition="a">${a.b.c}</p><p tal:else="">C</p>');
+                expect(DomTal.serialize(tal.run({a: 1}))).toBe('<p>E</p>');
+
+                tal.load('<p tal:condition="a">A</p><p tal:on-error="\'E\'" tal:else="">C</p>');
+                expect(DomTal.serialize(tal.run({a: false}))).toBe('<p>C</p>');
+                expect(DomTal.serialize(tal.run({a: true}))).toBe('<p>A</p>');
+            });
+
+        });
+
+        describe('Recurse', function(){
+            var tree = [{name: 'a', children: [{name: 'b', children: [{name: 'c', children: []}]}]}, {name: 'd', children: []}];
+
+            it('should repeat the enclosing element with the children', function(){
+                var html = '<ul><li>a0<ul><li>b1<ul><li>c2</li></ul></li></ul></li><li>d0</li></ul>';
+
+                tal.load('<ul><li tal:repeat="f tree">${f.name}${repeat.f.depth}' +
+                         '<ul tal:condition="f.children.length"><li tal:recurse="f.children"></li></ul></li></ul>');
+                expect(DomTal.serialize(tal.run({tree: tree}))).toBe(html);
+
+                tal.compile();
+                expect(DomTal.serialize(tal.run({tree: tree}))).toBe(html);
+            });
+
+            it('should stop runaway recursions', function(){
+                var loop = {name: 'x'};
+                loop.children = [loop];
+
+                tal = new DomTal('<ul><li tal:repeat="f tree"><b tal:recurse="f.children"></b></li></ul>', null, {maxDepth: 5});
+                expect(function(){ tal.run({tree: [loop]}); }).toThrow();
+                expect(function(){ tal.run({tree: tree}); }).not.toThrow();
+
+                tal.load('<p tal:recurse="tree"></p>');
+                expect(function(){ tal.run({tree: tree}); }).toThrow();
+            });
+
         });
 
         describe('Attributes', function(){
@@ -284,8 +1228,235 @@ describe('DomTal', function(){
                 $expect('span', dom).not.toHaveAttr('class');
             });
 
+            it('should merge class and style objects', function(){
+                tal.load('<li class="item active" style="color: red" ' +
+                         'tal:attributes="class {active: sel, disabled: !on}; style {fontWeight: \'bold\', color: false}"></li>' +
+                         '<i class="a" tal:attributes="class [\'b\', null, \'a\']"></i>');
+                dom = tal.run({sel: false, on: false});
+                expect(DomTal.serialize(dom)).toBe('<li class="item disabled" style="font-weight: bold;"></li><i class="a b"></i>');
+            });
+
+            it('should merge style objects in xml mode', function(){
+                var tpl = '<root xmlns:tal="' + DomTal.NS.TAL + '"><item style="color: red" ' +
+                          'tal:attributes="style {fontWeight: \'bold\'}" tal:css="color: false"/></root>',
+                    expected = '<root xmlns:tal="' + DomTal.NS.TAL + '"><item style="font-weight: bold;" /></root>';
+
+                expect(DomTal.serialize(new DomTal(tpl, null, {xml: true}).run())).toBe(expected);
+                expect(DomTal.serialize(new DomTal(tpl, null, {xml: true, backend: 'string'}).run())).toBe(expected);
+            });
+
+            it('should spread the attributes of an object', function(){
+                tal.load('<a class="x" tal:attributes="...attrs; title \'T\'; ...nope">a</a>');
+                dom = tal.run({nope: null, attrs: {href: '/u', hidden: true, title: 'no', 'class': {y: true},
+                                                  data: {userId: 7, tags: ['a']}}});
+                expect(DomTal.serialize(dom)).toBe('<a class="x y" href="/u" hidden title="T" data-user-id="7" data-tags="[&quot;a&quot;]">a</a>');
+            });
+
         });
 
+        describe('Block', function(){
+
+            it('should remove the block elements keeping their contents', function(){
+                tal.load('<ul><tal:block>a<li>b</li></tal:block><tal:block define="x 1"><li>${x}</li></tal:block></ul>');
+                expect(DomTal.serialize(tal.run())).toBe('<ul>a<li>b</li><li>1</li></ul>');
+            });
+
+            it('should work with any processor', function(){
+                tal.load('<dl><tal:block repeat="i items"><dt>${i}</dt><dd tal:condition="i > 1">!</dd></tal:block></dl>' +
+                         '<tal:block condition="false">no</tal:block><tal:block content="foo">x</tal:block>' +
+                         '<tal:block replace="foo"/><tal:block omit-tag="false"><b>k</b></tal:block>');
+                var html = '<dl><dt>1</dt><dt>2</dt><dd>!</dd></dl>FooFoo<b>k</b>';
+                expect(DomTal.serialize(tal.run({items: [1, 2], foo: 'Foo'}))).toBe(html);
+
+                tal.compile();
+                expect(DomTal.serialize(tal.run({items: [1, 2], foo: 'Foo'}))).toBe(html);
+            });
+
+            it('should work in templates from the document', function(){
+                var el = document.createElement('div');
+                el.innerHTML = '<tal:block repeat="i items"><span>${i}</span></tal:block>';
+                tal.load(el);
+                expect(DomTal.serialize(tal.run({items: [1, 2]}))).toBe('<span>1</span><span>2</span>');
+            });
+
+        });
+
+        describe('On-Error', function(){
+
+            it('should replace the contents with the handler result', function(){
+                tal.load('<div class="box" tal:on-error="\'Failed: \' + error.type"><b tal:content="foo.bar.baz">x</b></div>');
+                dom = tal.run({foo: {}});
+                expect(DomTal.serialize(dom)).toBe('<div class="box">Failed: Error</div>');
+
+                dom = tal.run({foo: {bar: {baz: 'ok'}}});
+                expect(DomTal.serialize(dom)).toBe('<div class="box"><b>ok</b></div>');
+            });
+
+            it('should be handled by the nearest element', function(){
+                tal.load('<div tal:on-error="\'outer\'"><p tal:on-error="error.message"><i tal:content="nope()"/></p><b>${foo}</b></div>');
+                dom = tal.run({foo: 'Foo'});
+                $expect('p', dom).toHaveText(/nope/);
+                $expect('b', dom).toHaveText('Foo');
+            });
+
+            it('should handle each repeated element', function(){
+                tal.load('<ul><li tal:repeat="u users" tal:on-error="nothing">${u.name.first}</li></ul>');
+                dom = tal.run({users: [{name: {first: 'A'}}, {}, {name: {first: 'C'}}]});
+                expect(DomTal.serialize(dom)).toBe('<ul><li>A</li><li></li><li>C</li></ul>');
+            });
+
+        });
+
+    });
+
+    describe('Metal', function(){
+        var page = '<div metal:define-macro="page"><h1 metal:define-slot="title">Untitled</h1>' +
+                   '<p metal:define-slot="body">Empty</p></div>';
+
+        function render(tpl, data){
+            return new DomTal(tpl).renderToString(data || {});
+        }
+
+        beforeEach(function(){
+            DomTal.templates.clear();
+        });
+
+        afterEach(function(){
+            DomTal.templates.clear();
+        });
+
+        it('should fill the slots of a macro', function(){
+            var html = render(page + '<section metal:use-macro="page"><b metal:fill-slot="body" tal:content="foo"/><i>lost</i></section>', {foo: 'Foo'});
+            expect(html).toBe('<div><h1>Untitled</h1><p>Empty</p></div><div><h1>Untitled</h1><b>Foo</b></div>');
+        });
+
+        it('should use macros from other templates', function(){
+            DomTal.templates.register('page', page);
+            DomTal.templates.register('layouts/main', '<nav metal:define-macro="menu"><span metal:define-slot="links"/></nav>');
+
+            expect(render('<p metal:use-macro="page"><b metal:fill-slot="title">T</b></p>')).toBe('<div><b>T</b><p>Empty</p></div>');
+            expect(render('<p metal:use-macro="layouts/main/macros/menu"><a metal:fill-slot="links">L</a></p>')).toBe('<nav><a>L</a></nav>');
+            expect(render('<p metal:use-macro="name"/>', {name: 'page'})).toBe('<div><h1>Untitled</h1><p>Empty</p></div>');
+            expect(function(){ render('<p metal:use-macro="missing"/>'); }).toThrow();
+        });
+
+        it('should only use the macros of its own template or registered ones', function(){
+            new DomTal('<div metal:define-macro="other">Other</div>');
+
+            expect(function(){ render('<p metal:use-macro="other"/>'); }).toThrow('Macro "other" not found');
+            expect(render('<div metal:define-macro="other">Mine</div>')).toBe('<div>Mine</div>');
+        });
+
+        it('should keep the processors state out of the scope', function(){
+            var keys = [];
+
+            DomTal.prototype.modifiers.scopeKeys = function(){
+                for (var i=0; i<this.stack.length; i++) {
+                    for (var k in this.stack[i]) keys.push(k);
+                }
+                return 'x';
+            };
+            DomTal.templates.register('card', '<b metal:define-macro="card"><i metal:define-slot="body"/></b><p>${slot}</p>');
+            try {
+                render('<ul tal:switch="1"><li tal:repeat="i items" tal:case="1"><p metal:use-macro="card">' +
+                       '<i metal:fill-slot="body" tal:content="scopeKeys:"/></p><p tal:template="card">${scopeKeys:}</p></li></ul>',
+                       {items: [1]});
+            } finally {
+                delete DomTal.prototype.modifiers.scopeKeys;
+            }
+
+            expect(keys.length).toBeGreaterThan(0);
+            expect(keys.join(' ')).not.toMatch(/tal:/);
+        });
+
+        it('should limit the macros using themselves', function(){
+            var tal = new DomTal('<div metal:define-macro="loop"><p metal:use-macro="loop"/></div>', null, {maxDepth: 5});
+
+            expect(function(){ tal.renderToString({}); }).toThrow('Maximum depth of 5 exceeded using the macro "loop"');
+            expect(tal.depth).toBe(0);
+        });
+
+        it('should render the macros in the current scope', function(){
+            DomTal.templates.register('list', '<ul metal:define-macro="list"><li tal:repeat="i items"><span metal:define-slot="item">${i}</span></li></ul>');
+
+            var html = render('<p tal:define="items [1, 2]" metal:use-macro="list"><b metal:fill-slot="item">#${i}</b></p>');
+            expect(html).toBe('<ul><li><b>#1</b></li><li><b>#2</b></li></ul>');
+        });
+
+        it('should extend macros', function(){
+            DomTal.templates.register('page', page);
+            DomTal.templates.register('article', '<div metal:define-macro="article" metal:extend-macro="page">' +
+                '<p metal:fill-slot="body"><em>Article</em><span metal:define-slot="text"/></p></div>');
+
+            var html = render('<p metal:use-macro="article"><b metal:fill-slot="title">T</b><i metal:fill-slot="text">x</i></p>');
+            expect(html).toBe('<div><b>T</b><p><em>Article</em><i>x</i></p></div>');
+        });
+    });
+
+    describe('I18n', function(){
+        var catalog = new DomTal.Catalog()
+            .add('es', 'default', {
+                'Hello ${user}, welcome back!': 'Hola ${user}, bienvenido!',
+                'Logo': 'Logotipo',
+                'more': 'Ver ${count} mas'
+            })
+            .add('es', 'shop', {
+                'items': {one: 'Un producto', other: '${n} productos'}
+            });
+
+        function render(tpl, data, language){
+            return new DomTal(tpl, null, {language: language || 'es', catalog: catalog}).renderToString(data || {});
+        }
+
+        it('should translate the contents with named elements', function(){
+            var tpl = '<p i18n:translate="">Hello <b i18n:name="user" tal:content="name"/>, welcome back!</p>';
+            expect(render(tpl, {name: 'Ann'})).toBe('<p>Hola <b>Ann</b>, bienvenido!</p>');
+            expect(render(tpl, {name: 'Ann'}, 'fr')).toBe('<p>Hello <b>Ann</b>, welcome back!</p>');
+            expect(render(tpl, {name: 'Ann'}, 'es-MX')).toBe('<p>Hola <b>Ann</b>, bienvenido!</p>');
+        });
+
+        it('should translate attributes', function(){
+            expect(render('<img alt="Logo" title="x" i18n:attributes="alt; title more"/>', {count: 2}))
+                .toBe('<img alt="Logotipo" title="Ver 2 mas">');
+        });
+
+        it('should use the domain and plural forms', function(){
+            var tpl = '<div i18n:domain="shop"><p i18n:translate="items" i18n:plural="n">${n} items</p><i i18n:translate="">Logo</i></div>';
+            expect(render(tpl, {n: 1})).toBe('<div><p>Un producto</p><i>Logotipo</i></div>');
+            expect(render(tpl, {n: 5})).toBe('<div><p>5 productos</p><i>Logotipo</i></div>');
+        });
+
+        it('should not process the contents set by tal:content', function(){
+            var data = {x: '${secret}', secret: 'leak'},
+                tpl = '<p tal:content="x" i18n:translate="">Logo</p><i tal:content="x" i18n:attributes="title" title="Logo"/>',
+                compiled = new DomTal(tpl, null, {language: 'es', catalog: catalog});
+
+            expect(render(tpl, data)).toBe('<p>${secret}</p><i title="Logotipo">${secret}</i>');
+            compiled.compile();
+            expect(compiled.renderToString(data)).toBe('<p>${secret}</p><i title="Logotipo">${secret}</i>');
+        });
+
+        it('should skip texts already in the language', function(){
+            expect(render('<p i18n:source="es" i18n:translate="">Logo</p>')).toBe('<p>Logo</p>');
+        });
+
+        it('should choose the CLDR plural categories', function(){
+            expect(DomTal.Catalog.plural('en', 1)).toBe('one');
+            expect(DomTal.Catalog.plural('fr', 0)).toBe('one');
+            expect(DomTal.Catalog.plural('ru-RU', 22)).toBe('few');
+            expect(DomTal.Catalog.plural('ru', 11)).toBe('many');
+            expect(DomTal.Catalog.plural('ar', 2)).toBe('two');
+            expect(DomTal.Catalog.plural('ja', 1)).toBe('other');
+        });
+
+        it('should extract the messages', function(){
+            var tal = new DomTal('<p i18n:translate="">Hello <b i18n:name="user">x</b>,\n welcome!</p>' +
+                                 '<div i18n:domain="shop"><img alt="Logo" i18n:attributes="alt"/></div>');
+            expect(tal.extract()).toEqual({
+                'default': {'Hello ${user}, welcome!': 'Hello ${user}, welcome!'},
+                shop: {'Logo': 'Logo'}
+            });
+        });
     });
 
     describe('Modifiers', function(){
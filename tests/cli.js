@@ -0,0 +1,27 @@
+// Tests for the domtal command line tool, run them with `node tests/cli.js`
+"use strict";
+
+var assert = require('assert'),
+    path = require('path'),
+    execFileSync = require('child_process').execFileSync;
+
+var bin = path.join(__dirname, '..', 'bin', 'domtal'),
+    base = path.join(__dirname, 'cli');
+
+function domtal(args) {
+    return execFileSync(process.execPath, [bin].concat(args), {encoding: 'utf8'});
+}
+
+// Renders a page including a partial by its name relative to the base directory
+assert.strictEqual(
+    domtal(['render', '-b', base, path.join(base, 'page.html')]),
+    '<div class="page">\n  <b class="card">Ann</b>\n\n</div>\n\n'
+);
+
+// Renders in node with access to the globals like in the browsers
+assert.strictEqual(
+    domtal(['render', path.join(base, 'globals.html'), path.join(base, 'globals.json')]),
+    '<p>2 [3] 3 0</p>\n\n'
+);
+
+console.log('ok');